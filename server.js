@@ -18,11 +18,14 @@
  */
 
 import { createServer } from 'http';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createInterface } from 'readline';
 import { URL } from 'url';
 import fetch from 'node-fetch';
 import snapshot from '@snapshot-labs/snapshot.js';
 import { ethers } from 'ethers';
-import { randomBytes } from 'crypto';
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
 import dotenv from 'dotenv';
 
 // Load environment variables
@@ -33,961 +36,4286 @@ const SERVER_VERSION = "1.0.0";
 const SERVER_PORT = parseInt(process.env.PORT || "3001");
 const SNAPSHOT_HUB_URL = process.env.SNAPSHOT_HUB_URL || "https://hub.snapshot.org";
 const SNAPSHOT_GRAPHQL_ENDPOINT = `${SNAPSHOT_HUB_URL}/graphql`;
+// Ordered GraphQL endpoints for reads; later entries are failovers for the first
+const SNAPSHOT_GRAPHQL_ENDPOINTS = (process.env.SNAPSHOT_GRAPHQL_ENDPOINTS || SNAPSHOT_GRAPHQL_ENDPOINT)
+    .split(',')
+    .map(endpoint => endpoint.trim())
+    .filter(Boolean);
+const SNAPSHOT_TESTNET_HUB_URL = process.env.SNAPSHOT_TESTNET_HUB_URL || "https://testnet.hub.snapshot.org";
+const SNAPSHOT_CUSTOM_HUB_URL = process.env.SNAPSHOT_CUSTOM_HUB_URL || "";
+// Hub networks: reads go to the hub's GraphQL endpoints and signed messages to its
+// sequencer, so a network always reads and writes against the same hub
+const HUB_NETWORKS = {
+    mainnet: {
+        hub: SNAPSHOT_HUB_URL,
+        sequencer: process.env.SNAPSHOT_SEQUENCER_URL || "https://seq.snapshot.org",
+        graphqlEndpoints: SNAPSHOT_GRAPHQL_ENDPOINTS
+    },
+    testnet: {
+        hub: SNAPSHOT_TESTNET_HUB_URL,
+        sequencer: process.env.SNAPSHOT_TESTNET_SEQUENCER_URL || "https://testnet.seq.snapshot.org",
+        graphqlEndpoints: [`${SNAPSHOT_TESTNET_HUB_URL}/graphql`]
+    },
+    custom: SNAPSHOT_CUSTOM_HUB_URL ? {
+        hub: SNAPSHOT_CUSTOM_HUB_URL,
+        sequencer: process.env.SNAPSHOT_CUSTOM_SEQUENCER_URL || SNAPSHOT_CUSTOM_HUB_URL,
+        graphqlEndpoints: [`${SNAPSHOT_CUSTOM_HUB_URL}/graphql`]
+    } : null
+};
+// Network used by sessions that have not selected one
+const SNAPSHOT_NETWORK = (process.env.SNAPSHOT_NETWORK || "mainnet").toLowerCase();
+// Retries for failed reads, with exponential backoff and jitter between attempts
+const QUERY_MAX_RETRIES = parseInt(process.env.QUERY_MAX_RETRIES || "3");
+const QUERY_RETRY_BASE_DELAY_MS = parseInt(process.env.QUERY_RETRY_BASE_DELAY_MS || "500");
+const QUERY_RETRY_MAX_DELAY_MS = 8000;
+// An endpoint that fails a read moves behind the healthy ones for this long
+const ENDPOINT_COOLDOWN_MS = 60000;
+const QUERY_TIMEOUT_MS = parseInt(process.env.QUERY_TIMEOUT_MS || "15000");
+// Automatic pagination: the hub rejects skip values above HUB_MAX_SKIP, so longer runs move a
+// created cursor instead; PAGINATION_MAX_ITEMS caps how many rows a single call collects
+const HUB_MAX_SKIP = 5000;
+const PAGINATION_MAX_ITEMS = parseInt(process.env.PAGINATION_MAX_ITEMS || "25000");
+// Per-chain URL lists are written as "1=https://eth.example,137=https://polygon.example"
+const parseChainUrls = (value) => Object.fromEntries((value || "")
+    .split(',')
+    .map(entry => entry.split(/=(.*)/s).map(part => part.trim()))
+    .filter(([chainId, url]) => chainId && url));
+// JSON-RPC endpoints per chain ID; chains not listed use Snapshot's public RPC proxy
+const RPC_URLS = parseChainUrls(process.env.RPC_URLS);
+const RPC_PROXY_URL = process.env.RPC_PROXY_URL || "https://rpc.snapshot.org";
+const RPC_TIMEOUT_MS = parseInt(process.env.RPC_TIMEOUT_MS || "15000");
+// Delegation: the registry Snapshot's delegation strategies read, and the subgraphs indexing it
+const DELEGATE_REGISTRY_ADDRESS = process.env.DELEGATE_REGISTRY_ADDRESS || "0x469788fE6E9E9681C6ebF3bF78e7Fd26Fc015446";
+const DELEGATION_SUBGRAPH_URLS = {
+    ...snapshot.utils.SNAPSHOT_SUBGRAPH_URL,
+    ...parseChainUrls(process.env.DELEGATION_SUBGRAPH_URLS)
+};
+// ENS names in address arguments resolve on Ethereum mainnet, through ENS_RPC_URL or else the
+// chain 1 RPC; lookups, including names without a record, are cached for ENS_CACHE_TTL_MS. Failed
+// lookups are not cached
+const ENS_RPC_URL = process.env.ENS_RPC_URL || "";
+const ENS_CACHE_TTL_MS = parseInt(process.env.ENS_CACHE_TTL_MS || "3600000");
+// Keystore: encrypted wallet profiles on disk, unlocked with KEYSTORE_PASSPHRASE
+const KEYSTORE_DIR = path.resolve(process.env.KEYSTORE_DIR || "./keystore");
+const KEYSTORE_PASSPHRASE = process.env.KEYSTORE_PASSPHRASE || "";
+// When enabled, every new session starts with the PRIVATE_KEY wallet loaded
+const AUTO_LOAD_PRIVATE_KEY = process.env.AUTO_LOAD_PRIVATE_KEY === "true";
+// Rate limiting: token buckets shared globally and per session; requests wait up to
+// RATE_LIMIT_MAX_WAIT_MS for a token before failing
+const MAX_REQUESTS_PER_MINUTE = parseInt(process.env.MAX_REQUESTS_PER_MINUTE || "50");
+const SESSION_MAX_REQUESTS_PER_MINUTE = parseInt(process.env.SESSION_MAX_REQUESTS_PER_MINUTE || "30");
+const RATE_LIMIT_MAX_WAIT_MS = parseInt(process.env.RATE_LIMIT_MAX_WAIT_MS || "30000");
+// Response cache: set CACHE_ENABLED=false to disable
+const CACHE_ENABLED = process.env.CACHE_ENABLED !== "false";
+const CACHE_MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES || "500");
+// Cache lifetimes (ms) per entity; finished data lives long, live data briefly
+const CACHE_TTLS = {
+    closedProposal: 24 * 60 * 60 * 1000,
+    closingProposal: 60 * 1000, // closed but scores not final yet
+    activeProposal: 15 * 1000,
+    pendingProposal: 60 * 1000,
+    proposalList: 30 * 1000,
+    space: 5 * 60 * 1000,
+    spaceList: 5 * 60 * 1000,
+    user: 60 * 1000,
+    votingPower: 60 * 1000,
+    delegations: 60 * 1000
+};
+// Transport: 'http' (default) or 'stdio' (via --stdio flag or MCP_TRANSPORT=stdio)
+const MCP_TRANSPORT = process.argv.includes('--stdio') ? 'stdio' : (process.env.MCP_TRANSPORT || 'http').toLowerCase();
+// HTTP auth scopes: read-only tokens reach every tool except those marked with SCOPE_WRITE
+const SCOPE_READ = "snapshot:read";
+const SCOPE_WRITE = "snapshot:write";
+// Static bearer tokens for the HTTP endpoint, as "token" (read and write) or "token:read"
+const MCP_AUTH_TOKENS = (process.env.MCP_AUTH_TOKENS || "")
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+        const [, token, access] = entry.match(/^(.*):(read|write)$/) || [null, entry, 'write'];
+        return { token, scopes: access === 'read' ? [SCOPE_READ] : [SCOPE_READ, SCOPE_WRITE] };
+    });
+// OAuth 2.1 per the MCP authorization spec: authorization servers advertised in the protected
+// resource metadata, and the token introspection endpoint (RFC 7662) bearer tokens are checked with
+const OAUTH_AUTHORIZATION_SERVERS = (process.env.OAUTH_AUTHORIZATION_SERVERS || "")
+    .split(',')
+    .map(server => server.trim())
+    .filter(Boolean);
+const OAUTH_INTROSPECTION_URL = process.env.OAUTH_INTROSPECTION_URL || "";
+const OAUTH_CLIENT_ID = process.env.OAUTH_CLIENT_ID || "";
+const OAUTH_CLIENT_SECRET = process.env.OAUTH_CLIENT_SECRET || "";
+// Canonical URL of the MCP endpoint, which OAuth tokens must name as their audience. It is never
+// derived from request headers, which the caller controls
+const OAUTH_RESOURCE_URL = process.env.OAUTH_RESOURCE_URL || "";
+// Without any tokens or introspection endpoint, the HTTP endpoint accepts every caller
+const AUTH_ENABLED = MCP_AUTH_TOKENS.length > 0 || Boolean(OAUTH_INTROSPECTION_URL);
+// Browser origins allowed to call the HTTP endpoints; "*" allows any origin
+const CORS_ALLOWED_ORIGINS = (process.env.CORS_ALLOWED_ORIGINS || "*")
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+
+// OAuth settings that would advertise or accept tokens without enforcing them stop startup
+const OAUTH_CONFIG_ERROR = OAUTH_AUTHORIZATION_SERVERS.length > 0 && !OAUTH_INTROSPECTION_URL
+    ? 'OAUTH_AUTHORIZATION_SERVERS is set without OAUTH_INTROSPECTION_URL, so /mcp would advertise OAuth while accepting unauthenticated requests'
+    : OAUTH_INTROSPECTION_URL && !OAUTH_RESOURCE_URL
+        ? 'OAUTH_INTROSPECTION_URL requires OAUTH_RESOURCE_URL, the audience OAuth tokens must be issued for'
+        : null;
+if (OAUTH_CONFIG_ERROR) {
+    console.error(`❌ Invalid auth configuration: ${OAUTH_CONFIG_ERROR}`);
+    process.exit(1);
+}
+
+// In stdio mode stdout carries JSON-RPC messages only, so route all logging to stderr
+if (MCP_TRANSPORT === 'stdio') {
+    console.log = console.error;
+    console.info = console.error;
+}
 
 /**
- * Wallet Manager for Snapshot operations
- * Handles wallet creation, importing, and signing operations
+ * Shape each voting type expects, for choice errors
  */
-class WalletManager {
+const VOTE_CHOICE_FORMATS = {
+    'single-choice': count => `a single choice number between 1 and ${count}`,
+    basic: count => `a single choice number between 1 and ${count}`,
+    approval: count => `an array of unique choice numbers between 1 and ${count}`,
+    'ranked-choice': count => `an array ranking all ${count} choices, each once, in order of preference`,
+    quadratic: count => `an object mapping choice numbers between 1 and ${count} to non-negative weights, at least one positive, e.g. {"1": 2, "2": 1}`,
+    weighted: count => `an object mapping choice numbers between 1 and ${count} to non-negative weights, at least one positive, e.g. {"1": 2, "2": 1}`
+};
+
+/**
+ * Normalize and validate a vote choice against a proposal's voting type
+ * Returns the choice in the shape Snapshot expects for that type:
+ * - single-choice / basic: 1-based choice index
+ * - approval: array of unique 1-based indices
+ * - ranked-choice: ordered array ranking every choice
+ * - quadratic / weighted: map of 1-based index to weight
+ * Whether a choice is valid is decided by snapshot.js, like the hub does
+ */
+function normalizeVoteChoice(type, choice, choices) {
+    const VotingType = snapshot.utils.voting[type];
+    if (!VotingType || !VOTE_CHOICE_FORMATS[type]) {
+        throw new Error(`Unsupported voting type: ${type}`);
+    }
+    if (!Array.isArray(choices) || choices.length === 0) {
+        throw new Error('Proposal has no choices to vote on');
+    }
+
+    let normalized = choice;
+    if ((type === 'quadratic' || type === 'weighted') && choice && typeof choice === 'object' && !Array.isArray(choice)) {
+        // Keys are written in canonical form ("01" becomes "1"), and zero weights carry no vote,
+        // so they are left out of the signed choice
+        normalized = Object.fromEntries(Object.entries(choice)
+            .filter(([, weight]) => weight !== 0)
+            .map(([key, weight]) => [String(Number(key)), weight]));
+    }
+
+    if (!VotingType.isValidChoice(normalized, choices)) {
+        throw new Error(`Invalid choice for a ${type} vote: ${JSON.stringify(choice)}. Expected ${VOTE_CHOICE_FORMATS[type](choices.length)}`);
+    }
+    return normalized;
+}
+
+/**
+ * Collects named validation checks for a write action
+ * Returned as-is in dry-run previews; enforced before anything is signed
+ */
+class ValidationReport {
     constructor() {
-        this.wallet = null;
-        // Use a simple provider for signing (no network needed for Snapshot)
-        this.provider = new ethers.providers.JsonRpcProvider('https://rpc.ankr.com/eth');
+        this.checks = [];
     }
 
     /**
-     * Create a new random wallet
+     * Record a check and return whether it passed
      */
-    createWallet() {
-        try {
-            this.wallet = ethers.Wallet.createRandom();
-            // Connect to provider for signing
-            this.wallet = this.wallet.connect(this.provider);
-            return {
-                address: this.wallet.address,
-                mnemonic: this.wallet.mnemonic?.phrase,
-                privateKey: this.wallet.privateKey
-            };
-        } catch (error) {
-            throw new Error(`Failed to create wallet: ${error.message}`);
-        }
+    check(name, passed, message) {
+        this.checks.push({ check: name, passed: Boolean(passed), message });
+        return Boolean(passed);
     }
 
     /**
-     * Import wallet from private key
+     * Record a non-blocking note, e.g. a check that could not be verified
      */
-    importWallet(privateKey) {
-        try {
-            this.wallet = new ethers.Wallet(privateKey);
-            // Connect to provider for signing
-            this.wallet = this.wallet.connect(this.provider);
-            return {
-                address: this.wallet.address,
-                privateKey: this.wallet.privateKey
-            };
-        } catch (error) {
-            throw new Error(`Failed to import wallet: ${error.message}`);
-        }
+    warn(name, message) {
+        this.checks.push({ check: name, passed: true, warning: true, message });
     }
 
-    /**
-     * Get current wallet address
-     */
-    getAddress() {
-        if (!this.wallet) {
-            throw new Error('No wallet configured. Create or import a wallet first.');
-        }
-        return this.wallet.address;
+    get valid() {
+        return this.checks.every(check => check.passed);
     }
 
     /**
-     * Create a proposal using Snapshot.js SDK
+     * Throw with every failed check, if any
      */
-    async createProposal(spaceId, proposalData) {
-        if (!this.wallet) {
-            throw new Error('No wallet configured. Create or import a wallet first.');
+    assertValid() {
+        const failed = this.checks.filter(check => !check.passed);
+        if (failed.length > 0) {
+            throw new Error(failed.map(check => check.message).join('; '));
         }
+    }
+}
 
-        try {
-            const hub = 'https://hub.snapshot.org';
-            const client = new snapshot.Client712(hub);
+/**
+ * Role an address holds in a space: 'admin', 'moderator', 'member' or null
+ */
+function spaceRole(space, address) {
+    const lowerAddress = address.toLowerCase();
+    const isListed = (list) => (list || []).some(entry => entry.toLowerCase() === lowerAddress);
+    return isListed(space?.admins) ? 'admin'
+        : isListed(space?.moderators) ? 'moderator'
+        : isListed(space?.members) ? 'member'
+        : null;
+}
 
-            // Get current block number if snapshot is 'latest'
-            let snapshotBlock = proposalData.snapshot;
-            if (!snapshotBlock || snapshotBlock === 'latest') {
-                try {
-                    const blockNumber = await this.provider.getBlockNumber();
-                    snapshotBlock = blockNumber;
-                } catch (blockError) {
-                    // Fallback to a recent block number
-                    snapshotBlock = 18000000; // A reasonably recent block number
-                }
-            }
+/**
+ * Check whether an address can vote on a proposal, recording results in a ValidationReport
+ * Covers proposal state and time window, prior votes, voting power at the proposal
+ * snapshot and the proposal's vote validation. Returns the proposal, or null if not found
+ */
+async function checkVoteEligibility(snapshotAPI, proposalId, address, validation, spaceId = null) {
+    const { proposal } = await snapshotAPI.getProposal(proposalId);
+    if (!validation.check('proposal_exists', proposal, proposal ? 'Proposal found' : `Proposal not found: ${proposalId}`)) {
+        return null;
+    }
 
-            const receipt = await client.proposal(this.wallet, this.wallet.address, {
-                space: spaceId,
-                type: proposalData.type || 'single-choice',
-                title: proposalData.title,
-                body: proposalData.body,
-                choices: proposalData.choices,
-                start: proposalData.start || Math.floor(Date.now() / 1000),
-                end: proposalData.end || Math.floor(Date.now() / 1000) + (7 * 24 * 60 * 60), // 7 days default
-                snapshot: snapshotBlock,
-                plugins: proposalData.plugins || JSON.stringify({}),
-                app: 'snapshot-mcp'
-            });
+    if (spaceId) {
+        const spaceMatches = !proposal.space?.id || proposal.space.id === spaceId;
+        validation.check('proposal_space', spaceMatches, spaceMatches
+            ? `Proposal belongs to space ${spaceId}`
+            : `Proposal ${proposalId} belongs to space ${proposal.space.id}, not ${spaceId}`);
+    }
 
-            return receipt;
-        } catch (error) {
-            throw new Error(`Failed to create proposal: ${error.message}`);
-        }
+    const now = Math.floor(Date.now() / 1000);
+    if (now < proposal.start || proposal.state === 'pending') {
+        validation.check('voting_window', false, `Voting has not started yet (opens ${new Date(proposal.start * 1000).toISOString()})`);
+    } else if (now >= proposal.end || proposal.state === 'closed') {
+        validation.check('voting_window', false, `Voting has ended (closed ${new Date(proposal.end * 1000).toISOString()})`);
+    } else {
+        validation.check('voting_window', true, `Voting is open until ${new Date(proposal.end * 1000).toISOString()}`);
     }
 
-    /**
-     * Cast a vote on a proposal
-     */
-    async castVote(spaceId, proposalId, choice, reason = '') {
-        if (!this.wallet) {
-            throw new Error('No wallet configured. Create or import a wallet first.');
+    try {
+        const { votes } = await snapshotAPI.getVotes(proposalId, { first: 1, voter: address });
+        if (votes && votes.length > 0) {
+            validation.warn('previous_vote', `Address already voted on this proposal (choice ${JSON.stringify(votes[0].choice)}); a new vote replaces it`);
+        } else {
+            validation.check('previous_vote', true, 'Address has not voted on this proposal yet');
         }
+    } catch (error) {
+        validation.warn('previous_vote', `Could not check for a previous vote: ${error.message}`);
+    }
 
+    try {
+        const { vp } = await snapshotAPI.getVotingPower(address, proposal.space.id, proposalId);
+        const power = vp?.vp || 0;
+        validation.check('voting_power', power > 0, power > 0
+            ? `Address has ${power} voting power at snapshot block ${proposal.snapshot}`
+            : `Address has no voting power at snapshot block ${proposal.snapshot}`);
+    } catch (error) {
+        validation.warn('voting_power', `Could not determine voting power: ${error.message}`);
+    }
+
+    const voteValidation = proposal.validation;
+    if (voteValidation?.name && voteValidation.name !== 'any') {
         try {
-            const hub = 'https://hub.snapshot.org';
-            const client = new snapshot.Client712(hub);
+            const passed = await snapshot.utils.validate(
+                voteValidation.name,
+                address,
+                proposal.space.id,
+                proposal.network,
+                Number(proposal.snapshot),
+                voteValidation.params || {},
+                {}
+            );
+            validation.check('vote_validation', passed, passed
+                ? `Address passes the "${voteValidation.name}" vote validation`
+                : `Address does not pass the "${voteValidation.name}" vote validation`);
+        } catch (error) {
+            validation.warn('vote_validation', `Could not evaluate the "${voteValidation.name}" vote validation: ${error.message || JSON.stringify(error)}`);
+        }
+    }
 
-            // Format the vote payload according to Snapshot.js expectations
-            const votePayload = {
-                space: spaceId,
-                proposal: proposalId,
-                type: 'single-choice',
-                choice: choice,
-                app: 'snapshot-mcp'
-            };
+    return proposal;
+}
 
-            // Add reason only if provided and not using shutter privacy
-            if (reason && reason.trim()) {
-                votePayload.reason = reason.trim();
-            }
+/**
+ * Check whether an address can create a proposal in a space, recording results in a ValidationReport
+ * Covers the members-only filter and the space's proposal validation, which space
+ * members, admins and moderators bypass. Returns the space, or null if not found
+ */
+async function checkProposalEligibility(snapshotAPI, spaceId, address, validation) {
+    const { space } = await snapshotAPI.getSpace(spaceId);
+    if (!validation.check('space_exists', space, space ? `Space found: ${spaceId}` : `Space not found: ${spaceId}`)) {
+        return null;
+    }
 
-            console.log('Vote payload:', JSON.stringify(votePayload, null, 2));
-            console.log('Wallet address:', this.wallet.address);
+    const role = spaceRole(space, address);
 
-            // Use the wallet as the web3 provider for signing
-            const receipt = await client.vote(this.wallet, this.wallet.address, votePayload);
+    if (space.filters?.onlyMembers) {
+        validation.check('members_only', role, role
+            ? `Space only accepts proposals from members; address is a ${role}`
+            : 'Space only accepts proposals from members, admins and moderators');
+    }
 
-            return receipt;
-        } catch (error) {
-            console.error('Vote casting error:', error);
-            // Provide more detailed error information
-            if (error.message) {
-                throw new Error(`Failed to cast vote: ${error.message}`);
-            } else if (error.reason) {
-                throw new Error(`Failed to cast vote: ${error.reason}`);
-            } else {
-                throw new Error(`Failed to cast vote: ${JSON.stringify(error)}`);
-            }
-        }
+    if (role) {
+        validation.check('proposal_validation', true, `Address is a space ${role}, so proposal validation does not apply`);
+        return space;
     }
 
-    /**
-     * Follow a space
-     */
-    async followSpace(spaceId) {
-        if (!this.wallet) {
-            throw new Error('No wallet configured. Create or import a wallet first.');
-        }
+    // Legacy spaces express their threshold through filters.minScore instead of a validation
+    let proposalValidation = space.validation;
+    if ((!proposalValidation?.name || proposalValidation.name === 'any') && space.filters?.minScore > 0) {
+        proposalValidation = { name: 'basic', params: { minScore: space.filters.minScore } };
+    }
 
-        try {
-            const hub = 'https://hub.snapshot.org';
-            const client = new snapshot.Client712(hub);
+    if (!proposalValidation?.name || proposalValidation.name === 'any') {
+        validation.check('proposal_validation', true, 'Space accepts proposals from any address');
+        return space;
+    }
 
-            const receipt = await client.follow(this.wallet, this.wallet.address, {
-                space: spaceId,
-                app: 'snapshot-mcp'
-            });
+    const params = { ...(proposalValidation.params || {}) };
+    if (proposalValidation.name === 'basic' && !params.strategies) {
+        params.strategies = space.strategies;
+    }
 
-            return receipt;
-        } catch (error) {
-            throw new Error(`Failed to follow space: ${error.message}`);
-        }
+    try {
+        const passed = await snapshot.utils.validate(
+            proposalValidation.name,
+            address,
+            space.id,
+            space.network,
+            'latest',
+            params,
+            {}
+        );
+        const threshold = params.minScore ? ` (minimum score ${params.minScore})` : '';
+        validation.check('proposal_validation', passed, passed
+            ? `Address passes the "${proposalValidation.name}" proposal validation${threshold}`
+            : `Address does not pass the "${proposalValidation.name}" proposal validation${threshold}`);
+    } catch (error) {
+        validation.warn('proposal_validation', `Could not evaluate the "${proposalValidation.name}" proposal validation: ${error.message || JSON.stringify(error)}`);
     }
 
-    /**
-     * Unfollow a space
-     */
-    async unfollowSpace(spaceId) {
-        if (!this.wallet) {
-            throw new Error('No wallet configured. Create or import a wallet first.');
-        }
+    return space;
+}
 
-        try {
-            const hub = 'https://hub.snapshot.org';
-            const client = new snapshot.Client712(hub);
+/**
+ * Check whether an address can update, delete or flag a proposal, recording results in a ValidationReport
+ * Authors can update a proposal until voting starts and delete it at any time; space admins
+ * and moderators can delete or flag it. Returns { proposal, space }; proposal is null if not found
+ */
+async function checkProposalManagement(snapshotAPI, action, proposalId, address, validation, spaceId = null) {
+    const { proposal } = await snapshotAPI.getProposal(proposalId);
+    if (!validation.check('proposal_exists', proposal, proposal ? 'Proposal found' : `Proposal not found: ${proposalId}`)) {
+        return { proposal: null, space: null };
+    }
 
-            const receipt = await client.unfollow(this.wallet, this.wallet.address, {
-                space: spaceId,
-                app: 'snapshot-mcp'
-            });
+    if (spaceId) {
+        const spaceMatches = !proposal.space?.id || proposal.space.id === spaceId;
+        validation.check('proposal_space', spaceMatches, spaceMatches
+            ? `Proposal belongs to space ${spaceId}`
+            : `Proposal ${proposalId} belongs to space ${proposal.space.id}, not ${spaceId}`);
+    }
 
-            return receipt;
-        } catch (error) {
-            throw new Error(`Failed to unfollow space: ${error.message}`);
+    const { space } = await snapshotAPI.getSpace(proposal.space.id);
+    const isAuthor = proposal.author?.toLowerCase() === address.toLowerCase();
+    const role = spaceRole(space, address);
+    const canModerate = role === 'admin' || role === 'moderator';
+
+    switch (action) {
+        case 'update': {
+            validation.check('proposal_author', isAuthor, isAuthor
+                ? 'Address is the proposal author'
+                : `Only the proposal author (${proposal.author}) can update it`);
+            const pending = proposal.state === 'pending' || Math.floor(Date.now() / 1000) < proposal.start;
+            validation.check('proposal_pending', pending, pending
+                ? `Voting has not started yet (opens ${new Date(proposal.start * 1000).toISOString()})`
+                : 'Proposals can only be updated before voting starts');
+            break;
         }
+
+        case 'delete':
+            validation.check('proposal_permission', isAuthor || canModerate, isAuthor
+                ? 'Address is the proposal author'
+                : canModerate
+                    ? `Address is a space ${role}`
+                    : 'Only the proposal author or a space admin or moderator can delete it');
+            break;
+
+        case 'flag':
+            validation.check('proposal_permission', canModerate, canModerate
+                ? `Address is a space ${role}`
+                : 'Only space admins and moderators can flag proposals');
+            break;
+
+        default:
+            throw new Error(`Unknown proposal action: ${action}`);
     }
+
+    return { proposal, space };
 }
 
 /**
- * Snapshot GraphQL API Client
- * Handles all interactions with Snapshot's GraphQL endpoint
+ * Check whether a delegation can be set or cleared in the registry, recording results in a ValidationReport
+ * Mirrors the registry's own reverts and checks the signer can pay for gas. Pass delegate = null
+ * to check clearing. Returns the current delegate, or null if there is none
  */
-class SnapshotAPI {
-    constructor() {
-        this.graphqlEndpoint = SNAPSHOT_GRAPHQL_ENDPOINT;
-        this.requestCount = 0;
-        this.lastRequestTime = Date.now();
-    }
+async function checkDelegationChange(chainId, spaceId, address, delegate, validation) {
+    const registry = getDelegateRegistry(chainId);
+    const scope = spaceId ? `space ${spaceId}` : 'all spaces';
 
-    /**
-     * Execute a GraphQL query against Snapshot Hub
-     */
-    async query(query, variables = {}) {
-        try {
-            // Basic rate limiting
-            this.requestCount++;
-            const now = Date.now();
-            if (now - this.lastRequestTime > 60000) {
-                this.requestCount = 1;
-                this.lastRequestTime = now;
-            }
-            
-            if (this.requestCount > 50) {
-                throw new Error('Rate limit exceeded. Please wait before making more requests.');
-            }
+    let current = null;
+    try {
+        const delegated = await registry.delegation(address, delegationId(spaceId));
+        current = delegated === ethers.constants.AddressZero ? null : delegated;
+    } catch (error) {
+        throw new Error(`Cannot read the delegate registry on chain ${chainId}: ${error.reason || error.message}`);
+    }
 
-            const response = await fetch(this.graphqlEndpoint, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json',
-                },
-                body: JSON.stringify({
-                    query,
-                    variables
-                })
-            });
+    if (delegate === null) {
+        validation.check('current_delegate', current, current
+            ? `Address delegates ${scope} to ${current}`
+            : `Address has no delegate set for ${scope}`);
+    } else {
+        const validAddress = ethers.utils.isAddress(delegate);
+        validation.check('delegate_address', validAddress, validAddress
+            ? `Delegate is a valid address`
+            : `Delegate is not a valid address: ${delegate}`);
+        if (validAddress) {
+            const isSelf = delegate.toLowerCase() === address.toLowerCase();
+            validation.check('delegate_self', !isSelf, isSelf
+                ? 'An address cannot delegate to itself'
+                : 'Delegate is a different address');
+            const unchanged = current?.toLowerCase() === delegate.toLowerCase();
+            validation.check('current_delegate', !unchanged, unchanged
+                ? `Address already delegates ${scope} to ${current}`
+                : current ? `Replaces the current delegate for ${scope}: ${current}` : `Address has no delegate set for ${scope} yet`);
+        }
+    }
 
-            if (!response.ok) {
-                throw new Error(`GraphQL request failed: ${response.status} ${response.statusText}`);
-            }
+    try {
+        const balance = await getRpcProvider(chainId).getBalance(address);
+        validation.check('gas_balance', balance.gt(0), balance.gt(0)
+            ? `Address holds ${ethers.utils.formatEther(balance)} native tokens on chain ${chainId} for gas`
+            : `Address has no native tokens on chain ${chainId} to pay for gas`);
+    } catch (error) {
+        validation.warn('gas_balance', `Could not read the balance on chain ${chainId}: ${error.reason || error.message}`);
+    }
 
-            const data = await response.json();
+    return current;
+}
 
-            if (data.errors) {
-                throw new Error(`GraphQL errors: ${JSON.stringify(data.errors)}`);
-            }
+/**
+ * Voting type and privacy for a proposal, forced to the space's settings where it sets them
+ * The hub rejects proposals that differ, so overrides are recorded as warnings
+ * @param {boolean} [options.checkPrivacy] - False for updates that keep the proposal's privacy
+ */
+function applySpaceProposalRules(proposalData, space, validation, { checkPrivacy = true } = {}) {
+    const voting = space?.voting || {};
 
-            return data.data;
-        } catch (error) {
-            console.error('Snapshot API query failed:', error);
-            throw error;
+    let type = proposalData.type || 'single-choice';
+    if (voting.type) {
+        if (proposalData.type && proposalData.type !== voting.type) {
+            validation.warn('proposal_type', `Space requires "${voting.type}" voting; using it instead of "${proposalData.type}"`);
         }
-    }    /**
-     * Get details of a single space by ID
-     */
-    async getSpace(spaceId) {
-        const query = `
-            query {
-                space(id: "${spaceId}") {
-                    id
-                    name
-                    about
-                    network
-                    symbol
-                    avatar
-                    website
-                    twitter
-                    github
-                    private
-                    domain
-                    members
-                    admins
-                    followersCount
-                    proposalsCount
-                    strategies {
-                        name
-                        params
-                    }
-                    voting {
-                        delay
-                        period
-                        type
-                        quorum
-                    }
-                }
-            }
-        `;
+        type = voting.type;
+    }
 
-        return await this.query(query);
+    // A space privacy of '' or 'any' lets each proposal choose its own
+    let privacy = proposalData.privacy || '';
+    const enforcedPrivacy = voting.privacy && voting.privacy !== 'any' ? voting.privacy : null;
+    if (checkPrivacy && enforcedPrivacy) {
+        if (proposalData.privacy !== undefined && proposalData.privacy !== enforcedPrivacy) {
+            validation.warn('proposal_privacy', `Space requires "${enforcedPrivacy}" privacy; using it instead of "${proposalData.privacy}"`);
+        }
+        privacy = enforcedPrivacy;
     }
 
-    /**
-     * Get multiple spaces with filtering options
-     */
-    async getSpaces(options = {}) {
-        const {
-            first = 20,
-            skip = 0,
-            orderBy = "created",
-            orderDirection = "desc"
-        } = options;
+    return { type, privacy };
+}
 
-        const query = `
-            query {
-                spaces(
-                    first: ${first}
-                    skip: ${skip}
-                    orderBy: "${orderBy}"
-                    orderDirection: ${orderDirection}
-                ) {
-                    id
-                    name
-                    about
-                    network
-                    symbol
-                    avatar
-                    followersCount
-                    proposalsCount
-                    private
-                }
-            }
-        `;
+/**
+ * Check proposal fields against the hub's proposal schema and the space's labels
+ * Updates pass the existing start, end and snapshot, which the schema requires
+ */
+function checkProposalContent(fields, space, validation) {
+    // Same schema the hub validates proposals against
+    const schemaResult = snapshot.utils.validateSchema(snapshot.schemas.proposal, {
+        name: fields.title,
+        body: fields.body,
+        choices: fields.choices,
+        type: fields.type,
+        snapshot: fields.snapshot,
+        start: fields.start,
+        end: fields.end,
+        ...(fields.app !== undefined && { app: fields.app })
+    });
+    validation.check(
+        'proposal_schema',
+        schemaResult === true,
+        schemaResult === true
+            ? 'Proposal matches the Snapshot proposal schema'
+            : `Proposal does not match the Snapshot schema: ${schemaResult.map(error => `${error.instancePath || 'proposal'} ${error.message}`).join('; ')}`
+    );
 
-        return await this.query(query);
+    if (fields.discussion) {
+        const validUrl = /^https?:\/\/\S+$/.test(fields.discussion) && fields.discussion.length <= 256;
+        validation.check('proposal_discussion', validUrl, validUrl
+            ? 'Discussion link is a valid URL'
+            : 'Discussion must be an http(s) URL of at most 256 characters');
     }
 
-    /**
-     * Get details of a single proposal by ID
-     */
-    async getProposal(proposalId) {
-        const query = `
-            query GetProposal($id: String!) {
-                proposal(id: $id) {
-                    id
-                    ipfs
-                    title
-                    body
-                    choices
-                    start
-                    end
-                    snapshot
-                    state
-                    author
-                    created
-                    updated
-                    type
-                    strategies {
-                        name
-                        network
-                        params
-                    }
-                    plugins
-                    network
-                    symbol
-                    privacy
-                    validation {
-                        name
-                        params
-                    }
-                    space {
-                        id
-                        name
-                        avatar
-                        symbol
-                    }
-                    scores_state
-                    scores_total
-                    scores
-                    votes
-                    discussion
-                    app
-                }
-            }
-        `;
+    if (fields.labels?.length > 0) {
+        const spaceLabels = (space?.labels || []).map(label => label.id);
+        const unknown = fields.labels.filter(label => !spaceLabels.includes(label));
+        validation.check('proposal_labels', unknown.length === 0 && fields.labels.length <= 10, unknown.length > 0
+            ? `Labels not defined by the space: ${unknown.join(', ')}`
+            : fields.labels.length > 10
+                ? 'A proposal can have at most 10 labels'
+                : `Labels are defined by the space: ${fields.labels.join(', ')}`);
+    }
+}
 
-        return await this.query(query, { id: proposalId });
+/**
+ * Look up a hub network by name, failing if it is unknown or not configured
+ */
+function resolveHubNetwork(name) {
+    if (!Object.hasOwn(HUB_NETWORKS, name)) {
+        throw new Error(`Unknown network: ${name}. Expected one of: ${Object.keys(HUB_NETWORKS).join(', ')}`);
     }
+    if (!HUB_NETWORKS[name]) {
+        throw new Error(`Network '${name}' is not configured. Set SNAPSHOT_CUSTOM_HUB_URL to use a custom hub.`);
+    }
+    return HUB_NETWORKS[name];
+}
 
-    /**
-     * Get proposals with filtering options
-     */
-    async getProposals(options = {}) {
-        const {
-            first = 20,
-            skip = 0,
-            orderBy = "created",
-            orderDirection = "desc",
-            where = {}
-        } = options;
+/**
+ * Public description of a hub network for tool output and health checks
+ */
+function describeHubNetwork(name) {
+    const config = HUB_NETWORKS[name];
+    return {
+        name,
+        configured: Boolean(config),
+        hub: config?.hub ?? null,
+        sequencer: config?.sequencer ?? null,
+        graphql_endpoints: config?.graphqlEndpoints ?? []
+    };
+}
 
-        const query = `
-            query GetProposals(
-                $first: Int!
-                $skip: Int!
-                $orderBy: String!
-                $orderDirection: OrderDirection!
-                $where: ProposalWhere
-            ) {
-                proposals(
-                    first: $first
-                    skip: $skip
-                    orderBy: $orderBy
-                    orderDirection: $orderDirection
-                    where: $where
-                ) {
-                    id
-                    ipfs
-                    title
-                    body
-                    choices
-                    start
-                    end
-                    snapshot
-                    state
-                    author
-                    created
-                    type
-                    space {
-                        id
-                        name
-                        avatar
-                        symbol
-                    }
-                    scores_state
-                    scores_total
-                    scores
-                    votes
-                    discussion
-                }
-            }
-        `;
+const rpcProviders = new Map();
 
-        return await this.query(query, {
-            first,
-            skip,
-            orderBy,
-            orderDirection,
-            where
-        });
+/**
+ * JSON-RPC provider for a chain ID (a space's `network`), from RPC_URLS or the RPC proxy
+ */
+function getRpcProvider(chainId) {
+    const key = String(chainId);
+    if (!rpcProviders.has(key)) {
+        const url = RPC_URLS[key] || `${RPC_PROXY_URL}/${key}`;
+        rpcProviders.set(key, new ethers.providers.StaticJsonRpcProvider({ url, timeout: RPC_TIMEOUT_MS }, Number(key)));
     }
+    return rpcProviders.get(key);
+}
 
-    /**
+/**
+ * Latest block number on a chain, used as a proposal's default snapshot block
+ */
+async function getLatestBlock(chainId) {
+    if (!chainId || !/^\d+$/.test(String(chainId))) {
+        throw new Error(`Cannot determine the snapshot block: unknown space network "${chainId ?? ''}". Pass an explicit snapshot block.`);
+    }
+
+    const provider = getRpcProvider(chainId);
+    try {
+        return await provider.getBlockNumber();
+    } catch (error) {
+        throw new Error(`Cannot determine the latest block on chain ${chainId} from ${provider.connection.url}: ${error.reason || error.message}. Set RPC_URLS for this chain or pass an explicit snapshot block.`);
+    }
+}
+
+// Tool and prompt arguments that hold an address; they also accept ENS names
+const ADDRESS_ARGUMENTS = ['address', 'author', 'delegate'];
+let ensCache = null;
+let ensProvider = null;
+
+/**
+ * Mainnet provider used for ENS lookups
+ */
+function getEnsProvider() {
+    if (!ENS_RPC_URL) {
+        return getRpcProvider('1');
+    }
+    ensProvider ??= new ethers.providers.StaticJsonRpcProvider({ url: ENS_RPC_URL, timeout: RPC_TIMEOUT_MS }, 1);
+    return ensProvider;
+}
+
+/**
+ * Cached ENS lookup; a missing record is cached as null, while an RPC failure is thrown and not cached
+ */
+async function ensLookup(key, lookup) {
+    ensCache ??= new ResponseCache();
+    const cached = ensCache.get(key);
+    if (cached !== undefined) {
+        return cached;
+    }
+
+    let result;
+    try {
+        const provider = getEnsProvider();
+        result = await lookup(provider);
+        // ethers reports RPC failures while finding a resolver as a missing record, so only trust
+        // a null once the RPC answers
+        if (result == null) {
+            await provider.getBlockNumber();
+        }
+    } catch (error) {
+        throw Object.assign(new Error(`ENS lookup failed for ${key.replace(/^\w+:/, '')}: ${error.reason || error.message}`), { retryable: true });
+    }
+    ensCache.set(key, result ?? null, ENS_CACHE_TTL_MS);
+    return result ?? null;
+}
+
+/**
+ * Resolve an ENS name or validate a raw address
+ * @param {boolean} [options.reverse] - Also look up the primary ENS name of a raw address
+ * @returns {{ input: string, address: string, ens: string|null }} address is checksummed
+ */
+async function resolveAddress(value, { reverse = false } = {}) {
+    const input = String(value).trim();
+
+    if (ethers.utils.isAddress(input)) {
+        const address = ethers.utils.getAddress(input);
+        const ens = reverse ? await ensLookup(`reverse:${address}`, provider => provider.lookupAddress(address)) : null;
+        return { input, address, ens };
+    }
+
+    // getAddress accepts all-lowercase or all-uppercase hex, so a mixed-case 0x value failed its checksum
+    if (/^0x[0-9a-fA-F]{40}$/.test(input)) {
+        throw new Error(`Invalid address checksum: ${input}. Use the checksummed or all-lowercase form`);
+    }
+    if (!input.includes('.')) {
+        throw new Error(`Invalid address: ${input}. Expected a 0x address or an ENS name`);
+    }
+
+    const name = input.toLowerCase();
+    const address = await ensLookup(`name:${name}`, provider => provider.resolveName(name));
+    if (!address) {
+        throw new Error(`ENS name does not resolve to an address: ${input}`);
+    }
+    return { input, address: ethers.utils.getAddress(address), ens: name };
+}
+
+/**
+ * Replace every address argument with its checksummed address
+ * @param {boolean} [options.reverse] - Also look up the primary ENS name of raw addresses
+ * @returns {{ args: object, addresses: object }} addresses maps each argument to both forms
+ */
+async function resolveAddressArguments(args, { reverse = false } = {}) {
+    const resolvedArgs = { ...args };
+    const addresses = {};
+
+    for (const name of ADDRESS_ARGUMENTS) {
+        if (typeof args[name] === 'string' && args[name] !== '') {
+            addresses[name] = await resolveAddress(args[name], { reverse });
+            resolvedArgs[name] = addresses[name].address;
+        }
+    }
+
+    return { args: resolvedArgs, addresses };
+}
+
+/**
+ * Check tool arguments against the tool's inputSchema
+ * @returns {object[]} One { field, message } per problem; empty when the arguments are valid
+ */
+function validateToolArguments(tool, args) {
+    const result = snapshot.utils.validateSchema(tool.inputSchema, args);
+    if (result === true) {
+        return [];
+    }
+
+    const fieldName = (error) => {
+        const path = error.instancePath.slice(1).replace(/\//g, '.');
+        return error.keyword === 'required'
+            ? [path, error.params.missingProperty].filter(Boolean).join('.')
+            : path || '(arguments)';
+    };
+    const describe = (error) => {
+        if (error.keyword === 'required') return 'is required';
+        if (error.keyword === 'enum') return `${error.message}: ${error.params.allowedValues.join(', ')}`;
+        return error.message;
+    };
+
+    // A failed oneOf also reports why each of its branches failed; those are folded into it
+    const unions = result.filter(error => error.keyword === 'oneOf' || error.keyword === 'anyOf');
+    const branchOf = (error) => unions.find(union => error.schemaPath.startsWith(`${union.schemaPath}/`));
+
+    return result
+        .filter(error => !branchOf(error))
+        .map(error => {
+            if (!unions.includes(error)) {
+                return { field: fieldName(error), message: describe(error) };
+            }
+            return {
+                field: fieldName(error),
+                message: 'does not match any accepted form',
+                forms: result.filter(branch => branchOf(branch) === error)
+                    .map(branch => `${fieldName(branch)} ${describe(branch)}`)
+            };
+        });
+}
+
+/**
+ * JSON-RPC error object for a failed request
+ * Errors may carry a JSON-RPC `rpcCode` and `rpcData`; anything else is an internal error
+ */
+function jsonRpcError(error) {
+    return {
+        code: error.rpcCode ?? -32603,
+        message: error.message,
+        ...(error.rpcData !== undefined && { data: error.rpcData })
+    };
+}
+
+const DELEGATE_REGISTRY_ABI = [
+    'function delegation(address delegator, bytes32 id) view returns (address)',
+    'function setDelegate(bytes32 id, address delegate)',
+    'function clearDelegate(bytes32 id)'
+];
+
+/**
+ * Delegate registry contract on a chain, connected to a signer or the chain's provider
+ */
+function getDelegateRegistry(chainId, signer = null) {
+    const provider = getRpcProvider(chainId);
+    return new ethers.Contract(DELEGATE_REGISTRY_ADDRESS, DELEGATE_REGISTRY_ABI, signer ? signer.connect(provider) : provider);
+}
+
+/**
+ * Registry ID for a delegation: the space ID as bytes32, or zero for every space
+ */
+function delegationId(spaceId) {
+    try {
+        return ethers.utils.formatBytes32String(spaceId || '');
+    } catch (error) {
+        throw new Error(`Space ID is too long for the delegate registry (max 31 bytes): ${spaceId}`);
+    }
+}
+
+// EIP-712 domain used by snapshot.Client712 (not exported by snapshot.js)
+const SNAPSHOT_EIP712_DOMAIN = { name: 'snapshot', version: '0.1.4' };
+
+// EIP-712 types the hub expects where snapshot.js 0.4 lags behind, keyed by Client712 action;
+// these messages are signed through Client712.sign() instead of the action method
+const SNAPSHOT_MESSAGE_TYPES = {
+    proposal: {
+        Proposal: [
+            { name: 'from', type: 'address' },
+            { name: 'space', type: 'string' },
+            { name: 'timestamp', type: 'uint64' },
+            { name: 'type', type: 'string' },
+            { name: 'title', type: 'string' },
+            { name: 'body', type: 'string' },
+            { name: 'discussion', type: 'string' },
+            { name: 'choices', type: 'string[]' },
+            { name: 'labels', type: 'string[]' },
+            { name: 'start', type: 'uint64' },
+            { name: 'end', type: 'uint64' },
+            { name: 'snapshot', type: 'uint64' },
+            { name: 'plugins', type: 'string' },
+            { name: 'privacy', type: 'string' },
+            { name: 'app', type: 'string' }
+        ]
+    },
+    updateProposal: {
+        UpdateProposal: [
+            { name: 'proposal', type: 'string' },
+            { name: 'from', type: 'address' },
+            { name: 'space', type: 'string' },
+            { name: 'timestamp', type: 'uint64' },
+            { name: 'type', type: 'string' },
+            { name: 'title', type: 'string' },
+            { name: 'body', type: 'string' },
+            { name: 'discussion', type: 'string' },
+            { name: 'choices', type: 'string[]' },
+            { name: 'labels', type: 'string[]' },
+            { name: 'plugins', type: 'string' },
+            { name: 'privacy', type: 'string' }
+        ]
+    },
+    flagProposal: {
+        FlagProposal: [
+            { name: 'from', type: 'address' },
+            { name: 'space', type: 'string' },
+            { name: 'timestamp', type: 'uint64' },
+            { name: 'proposal', type: 'string' }
+        ]
+    }
+};
+
+/**
+ * Client712 variant that builds the EIP-712 payload instead of signing and sending it
+ * Reuses Client712's message preparation so previews match what would be signed
+ */
+class PreviewClient712 extends snapshot.Client712 {
+    async sign(web3, address, message, types) {
+        const checksumAddress = ethers.utils.getAddress(address);
+        message.from = message.from ? ethers.utils.getAddress(message.from) : checksumAddress;
+        if (!message.timestamp) {
+            message.timestamp = Math.floor(Date.now() / 1000);
+        }
+
+        const primaryType = Object.keys(types)[0];
+        return {
+            sequencer: this.address,
+            typed_data: {
+                types: {
+                    EIP712Domain: [
+                        { name: 'name', type: 'string' },
+                        { name: 'version', type: 'string' }
+                    ],
+                    ...types
+                },
+                primaryType,
+                domain: SNAPSHOT_EIP712_DOMAIN,
+                message
+            },
+            digest: ethers.utils._TypedDataEncoder.hash(SNAPSHOT_EIP712_DOMAIN, types, message)
+        };
+    }
+}
+
+/**
+ * Keystore Manager for named wallet profiles
+ * Stores each wallet as an encrypted JSON keystore (ethers format) in KEYSTORE_DIR
+ */
+class KeystoreManager {
+    constructor(directory = KEYSTORE_DIR, passphrase = KEYSTORE_PASSPHRASE) {
+        this.directory = directory;
+        this.passphrase = passphrase;
+    }
+
+    /**
+     * Keystore holding only one principal's profiles, in its own subdirectory
+     */
+    forOwner(owner) {
+        const hash = createHash('sha256').update(owner).digest('hex').slice(0, 32);
+        return new KeystoreManager(path.join(this.directory, 'principals', hash), this.passphrase);
+    }
+
+    /**
+     * Resolve the file for a profile, rejecting names that could escape the keystore directory
+     */
+    profilePath(name) {
+        if (typeof name !== 'string' || !/^[A-Za-z0-9_-]{1,64}$/.test(name)) {
+            throw new Error('Invalid profile name. Use 1-64 letters, numbers, dashes or underscores.');
+        }
+        return path.join(this.directory, `${name}.json`);
+    }
+
+    requirePassphrase() {
+        if (!this.passphrase) {
+            throw new Error('Keystore is locked. Set KEYSTORE_PASSPHRASE to save or load wallet profiles.');
+        }
+    }
+
+    /**
+     * List stored profiles with their addresses (no passphrase needed)
+     */
+    async listProfiles() {
+        let files;
+        try {
+            files = await fs.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw new Error(`Failed to read keystore: ${error.message}`);
+        }
+
+        const profiles = [];
+        for (const file of files.filter(file => file.endsWith('.json')).sort()) {
+            const filePath = path.join(this.directory, file);
+            try {
+                const [json, stats] = await Promise.all([fs.readFile(filePath, 'utf8'), fs.stat(filePath)]);
+                profiles.push({
+                    name: file.slice(0, -'.json'.length),
+                    address: ethers.utils.getAddress(ethers.utils.getJsonWalletAddress(json)),
+                    updated: stats.mtime.toISOString()
+                });
+            } catch (error) {
+                console.error(`Skipping unreadable keystore file ${file}:`, error.message);
+            }
+        }
+        return profiles;
+    }
+
+    /**
+     * Encrypt a wallet and store it under a profile name
+     */
+    async saveProfile(name, wallet, { overwrite = false } = {}) {
+        const filePath = this.profilePath(name);
+        this.requirePassphrase();
+
+        // Write to a temporary file first so a crash never leaves a truncated keystore
+        const tempPath = `${filePath}.${randomBytes(4).toString('hex')}.tmp`;
+        try {
+            const json = await wallet.encrypt(this.passphrase);
+            await fs.mkdir(this.directory, { recursive: true, mode: 0o700 });
+            await fs.writeFile(tempPath, json, { mode: 0o600 });
+            if (overwrite) {
+                await fs.rename(tempPath, filePath);
+            } else {
+                // link fails atomically when the profile exists, unlike a separate existence check
+                await fs.link(tempPath, filePath);
+            }
+            return { name, address: wallet.address };
+        } catch (error) {
+            if (error.code === 'EEXIST') {
+                throw new Error(`Wallet profile already exists: ${name}`);
+            }
+            throw new Error(`Failed to save wallet profile: ${error.message}`);
+        } finally {
+            await fs.rm(tempPath, { force: true });
+        }
+    }
+
+    /**
+     * Decrypt a stored profile into a wallet
+     */
+    async loadProfile(name) {
+        const filePath = this.profilePath(name);
+        this.requirePassphrase();
+
+        let json;
+        try {
+            json = await fs.readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new Error(`Wallet profile not found: ${name}`);
+            }
+            throw new Error(`Failed to read wallet profile: ${error.message}`);
+        }
+
+        try {
+            return await ethers.Wallet.fromEncryptedJson(json, this.passphrase);
+        } catch (error) {
+            throw new Error(`Failed to unlock wallet profile ${name}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete a stored profile
+     */
+    async removeProfile(name) {
+        const filePath = this.profilePath(name);
+        try {
+            await fs.unlink(filePath);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new Error(`Wallet profile not found: ${name}`);
+            }
+            throw new Error(`Failed to remove wallet profile: ${error.message}`);
+        }
+    }
+}
+
+const keystore = new KeystoreManager();
+
+/**
+ * Load the PRIVATE_KEY wallet for AUTO_LOAD_PRIVATE_KEY, or null when disabled or invalid
+ */
+function loadStartupWallet() {
+    if (!AUTO_LOAD_PRIVATE_KEY) return null;
+    if (!process.env.PRIVATE_KEY) {
+        console.warn('⚠️  AUTO_LOAD_PRIVATE_KEY is enabled but PRIVATE_KEY is not set');
+        return null;
+    }
+    try {
+        return new ethers.Wallet(process.env.PRIVATE_KEY);
+    } catch (error) {
+        console.warn(`⚠️  Ignoring invalid PRIVATE_KEY: ${error.message}`);
+        return null;
+    }
+}
+
+const startupWallet = loadStartupWallet();
+
+/**
+ * Wallet Manager for Snapshot operations
+ * Handles wallet creation, importing, and signing operations
+ */
+class WalletManager {
+    /**
+     * @param {string|null} sessionId - MCP session that owns this wallet. Without
+     *   a session no wallet can be created or imported, since it could not be reused
+     * @param {KeystoreManager|null} keystoreManager - Profiles this session may use; without
+     *   one, profile tools are unavailable
+     */
+    constructor(sessionId = null, keystoreManager = null) {
+        this.sessionId = sessionId;
+        this.keystore = keystoreManager;
+        this.wallet = null;
+        // Name of the keystore profile the current wallet came from, if any
+        this.profile = null;
+        // Hub network this session reads from and signs against unless a call overrides it
+        this.network = SNAPSHOT_NETWORK;
+    }
+
+    /**
+     * Ensure this manager belongs to a session before storing a wallet
+     */
+    requireSession() {
+        if (!this.sessionId) {
+            throw new Error('Wallet operations require an MCP session. Initialize the connection to obtain an Mcp-Session-Id.');
+        }
+    }
+
+    /**
+     * Create a new random wallet
+     * @param {object} options - { profile, overwrite }; with a profile, the wallet is only used once it is saved
+     */
+    async createWallet({ profile = null, overwrite = false } = {}) {
+        this.requireSession();
+        let wallet;
+        try {
+            wallet = ethers.Wallet.createRandom();
+        } catch (error) {
+            throw new Error(`Failed to create wallet: ${error.message}`);
+        }
+        await this.adoptWallet(wallet, profile, overwrite);
+        return {
+            address: wallet.address,
+            mnemonic: wallet.mnemonic?.phrase,
+            privateKey: wallet.privateKey
+        };
+    }
+
+    /**
+     * Import wallet from private key
+     * @param {object} options - { profile, overwrite }; with a profile, the wallet is only used once it is saved
+     */
+    async importWallet(privateKey, { profile = null, overwrite = false } = {}) {
+        this.requireSession();
+        let wallet;
+        try {
+            wallet = new ethers.Wallet(privateKey);
+        } catch (error) {
+            throw new Error(`Failed to import wallet: ${error.message}`);
+        }
+        await this.adoptWallet(wallet, profile, overwrite);
+        return {
+            address: wallet.address,
+            privateKey: wallet.privateKey
+        };
+    }
+
+    /**
+     * Save a new wallet to its profile, if any, and only then make it this session's wallet,
+     * so a failed save leaves the previous wallet in place
+     */
+    async adoptWallet(wallet, profile, overwrite) {
+        if (profile) {
+            this.requireKeystore();
+            await this.keystore.saveProfile(profile, wallet, { overwrite });
+        }
+        this.setWallet(wallet, profile);
+    }
+
+    /**
+     * Use an existing wallet, e.g. one decrypted from the keystore
+     */
+    setWallet(wallet, profile = null) {
+        this.wallet = wallet;
+        this.profile = profile;
+    }
+
+    /**
+     * Forget the configured wallet
+     */
+    clear() {
+        this.wallet = null;
+        this.profile = null;
+    }
+
+    /**
+     * Ensure this session has a keystore of its own before touching profiles
+     */
+    requireKeystore() {
+        if (!this.keystore) {
+            throw new Error('Wallet profiles are only available over stdio or to authenticated HTTP callers, since unauthenticated callers would share them. Configure MCP_AUTH_TOKENS or OAuth.');
+        }
+    }
+
+    /**
+     * List wallet profiles stored in the keystore
+     */
+    async listProfiles() {
+        this.requireKeystore();
+        return await this.keystore.listProfiles();
+    }
+
+    /**
+     * Unlock a keystore profile and make it this session's wallet
+     */
+    async selectProfile(name) {
+        this.requireSession();
+        this.requireKeystore();
+        const wallet = await this.keystore.loadProfile(name);
+        this.setWallet(wallet, name);
+        return { name, address: wallet.address };
+    }
+
+    /**
+     * Delete a keystore profile; a session already using it keeps its wallet in memory
+     */
+    async removeProfile(name) {
+        this.requireKeystore();
+        await this.keystore.removeProfile(name);
+        if (this.profile === name) {
+            this.profile = null;
+        }
+        return { name };
+    }
+
+    /**
+     * Switch the hub network used by this session
+     */
+    selectNetwork(network) {
+        this.requireSession();
+        resolveHubNetwork(network);
+        this.network = network;
+        return describeHubNetwork(network);
+    }
+
+    /**
+     * Sign and send a message through Client712, or build a preview in dry-run mode
+     * @param {string} action - Client712 method name, e.g. 'vote' or 'proposal'
+     * @param {object} options - { dryRun, validation, network } where validation is a
+     *   ValidationReport and network defaults to the session's network
+     */
+    async submit(action, message, { dryRun = false, validation = new ValidationReport(), network = this.network } = {}) {
+        const { sequencer } = resolveHubNetwork(network);
+        const types = SNAPSHOT_MESSAGE_TYPES[action];
+        const send = (client) => types
+            ? client.sign(this.wallet, this.wallet.address, message, types)
+            : client[action](this.wallet, this.wallet.address, message);
+
+        if (dryRun) {
+            // Only build the payload when it would actually be accepted for signing
+            const preview = validation.valid
+                ? await send(new PreviewClient712(sequencer))
+                : { sequencer: null, typed_data: null, digest: null };
+            return {
+                dry_run: true,
+                signer: this.wallet.address,
+                valid: validation.valid,
+                validation: validation.checks,
+                ...preview
+            };
+        }
+
+        validation.assertValid();
+        return await send(new snapshot.Client712(sequencer));
+    }
+
+    /**
+     * Get current wallet address
+     */
+    getAddress() {
+        if (!this.wallet) {
+            throw new Error('No wallet configured. Create or import a wallet first.');
+        }
+        return this.wallet.address;
+    }
+
+    /**
+     * Create a proposal using Snapshot.js SDK
+     * @param {object} options - { dryRun, validation, network } (see submit()) plus `space`,
+     *   the space from getSpace; its network and voting settings supply defaults
+     */
+    async createProposal(spaceId, proposalData, options = {}) {
+        if (!this.wallet) {
+            throw new Error('No wallet configured. Create or import a wallet first.');
+        }
+
+        try {
+            const validation = options.validation || new ValidationReport();
+            const space = options.space || null;
+            const voting = space?.voting || {};
+            const now = Math.floor(Date.now() / 1000);
+
+            // 'latest' means the current block on the space's own chain
+            let snapshotBlock = proposalData.snapshot;
+            if (!snapshotBlock || snapshotBlock === 'latest') {
+                try {
+                    snapshotBlock = await getLatestBlock(space?.network);
+                    validation.check('snapshot_block', true, `Snapshot block ${snapshotBlock} is the latest block on chain ${space.network}`);
+                } catch (blockError) {
+                    validation.check('snapshot_block', false, blockError.message);
+                    snapshotBlock = null;
+                }
+            }
+
+            const { type, privacy } = applySpaceProposalRules(proposalData, space, validation);
+
+            // Voting starts after the space's delay and lasts its fixed period, if it sets them
+            const start = proposalData.start || now + (voting.delay || 0);
+            const end = proposalData.end || start + (voting.period || 7 * 24 * 60 * 60);
+
+            const message = {
+                space: spaceId,
+                timestamp: now,
+                type,
+                title: proposalData.title,
+                body: proposalData.body,
+                discussion: proposalData.discussion || '',
+                choices: proposalData.choices,
+                labels: proposalData.labels || [],
+                start,
+                end,
+                snapshot: snapshotBlock === null ? null : Number(snapshotBlock),
+                plugins: typeof proposalData.plugins === 'string'
+                    ? proposalData.plugins
+                    : JSON.stringify(proposalData.plugins || {}),
+                privacy,
+                app: proposalData.app || 'snapshot-mcp'
+            };
+
+            checkProposalContent(message, space, validation);
+            validation.check(
+                'proposal_period',
+                message.end > message.start,
+                message.end > message.start
+                    ? 'Voting period ends after it starts'
+                    : 'Proposal end must be after its start'
+            );
+            if (voting.delay) {
+                validation.check('voting_delay', message.start >= now + voting.delay, message.start >= now + voting.delay
+                    ? `Voting starts after the space's ${voting.delay}s voting delay`
+                    : `Space requires voting to start at least ${voting.delay}s after the proposal is created`);
+            }
+            if (voting.period) {
+                validation.check('voting_period', message.end - message.start === voting.period, message.end - message.start === voting.period
+                    ? `Voting lasts the space's ${voting.period}s voting period`
+                    : `Space requires a voting period of exactly ${voting.period}s (end - start); got ${message.end - message.start}s`);
+            }
+
+            return await this.submit('proposal', message, { ...options, validation });
+        } catch (error) {
+            throw new Error(`Failed to create proposal: ${error.message}`);
+        }
+    }
+
+    /**
+     * Replace the content of a proposal that has not started yet
+     * proposalData must be complete: the hub replaces every field listed in the UpdateProposal type
+     * @param {object} options - { dryRun, validation, network } (see submit()) plus `space` and
+     *   `proposal`, the current proposal whose start, end and snapshot are kept
+     */
+    async updateProposal(spaceId, proposalId, proposalData, options = {}) {
+        if (!this.wallet) {
+            throw new Error('No wallet configured. Create or import a wallet first.');
+        }
+
+        try {
+            const validation = options.validation || new ValidationReport();
+            const space = options.space || null;
+            const { type, privacy } = applySpaceProposalRules(proposalData, space, validation, {
+                checkPrivacy: !options.proposal || proposalData.privacy !== options.proposal.privacy
+            });
+
+            const message = {
+                proposal: proposalId,
+                space: spaceId,
+                type,
+                title: proposalData.title,
+                body: proposalData.body,
+                discussion: proposalData.discussion || '',
+                choices: proposalData.choices,
+                labels: proposalData.labels || [],
+                plugins: typeof proposalData.plugins === 'string'
+                    ? proposalData.plugins
+                    : JSON.stringify(proposalData.plugins || {}),
+                privacy
+            };
+
+            checkProposalContent({
+                ...message,
+                start: options.proposal?.start,
+                end: options.proposal?.end,
+                snapshot: Number(options.proposal?.snapshot)
+            }, space, validation);
+
+            return await this.submit('updateProposal', message, { ...options, validation });
+        } catch (error) {
+            throw new Error(`Failed to update proposal: ${error.message || error.error_description || JSON.stringify(error)}`);
+        }
+    }
+
+    /**
+     * Delete a proposal (Client712 calls this cancelProposal)
+     * @param {object} options - { dryRun, validation, network }; see submit()
+     */
+    async deleteProposal(spaceId, proposalId, options = {}) {
+        if (!this.wallet) {
+            throw new Error('No wallet configured. Create or import a wallet first.');
+        }
+
+        try {
+            return await this.submit('cancelProposal', {
+                space: spaceId,
+                proposal: proposalId
+            }, options);
+        } catch (error) {
+            throw new Error(`Failed to delete proposal: ${error.message || error.error_description || JSON.stringify(error)}`);
+        }
+    }
+
+    /**
+     * Flag a proposal so the space hides it; admins and moderators only
+     * @param {object} options - { dryRun, validation, network }; see submit()
+     */
+    async flagProposal(spaceId, proposalId, options = {}) {
+        if (!this.wallet) {
+            throw new Error('No wallet configured. Create or import a wallet first.');
+        }
+
+        try {
+            return await this.submit('flagProposal', {
+                space: spaceId,
+                proposal: proposalId
+            }, options);
+        } catch (error) {
+            throw new Error(`Failed to flag proposal: ${error.message || error.error_description || JSON.stringify(error)}`);
+        }
+    }
+
+    /**
+     * Cast a vote on a proposal
+     * The choice must already match the shape required by the proposal type
+     * @param {object} options - { dryRun, validation, network }; see submit()
+     */
+    async castVote(spaceId, proposalId, choice, reason = '', type = 'single-choice', options = {}) {
+        if (!this.wallet) {
+            throw new Error('No wallet configured. Create or import a wallet first.');
+        }
+
+        try {
+            // Format the vote payload according to Snapshot.js expectations
+            const votePayload = {
+                space: spaceId,
+                proposal: proposalId,
+                type: type,
+                choice: choice,
+                app: 'snapshot-mcp'
+            };
+
+            // Add reason only if provided and not using shutter privacy
+            if (reason && reason.trim()) {
+                votePayload.reason = reason.trim();
+            }
+
+            console.log('Vote payload:', JSON.stringify(votePayload, null, 2));
+            console.log('Wallet address:', this.wallet.address);
+
+            // Use the wallet as the web3 provider for signing
+            return await this.submit('vote', votePayload, options);
+        } catch (error) {
+            console.error('Vote casting error:', error);
+            // Provide more detailed error information
+            if (error.message) {
+                throw new Error(`Failed to cast vote: ${error.message}`);
+            } else if (error.reason) {
+                throw new Error(`Failed to cast vote: ${error.reason}`);
+            } else {
+                throw new Error(`Failed to cast vote: ${JSON.stringify(error)}`);
+            }
+        }
+    }
+
+    /**
+     * Follow a space
+     * @param {object} options - { dryRun, validation, network }; see submit()
+     */
+    async followSpace(spaceId, options = {}) {
+        if (!this.wallet) {
+            throw new Error('No wallet configured. Create or import a wallet first.');
+        }
+
+        try {
+            return await this.submit('follow', {
+                space: spaceId,
+                app: 'snapshot-mcp'
+            }, options);
+        } catch (error) {
+            throw new Error(`Failed to follow space: ${error.message}`);
+        }
+    }
+
+    /**
+     * Unfollow a space
+     * @param {object} options - { dryRun, validation, network }; see submit()
+     */
+    async unfollowSpace(spaceId, options = {}) {
+        if (!this.wallet) {
+            throw new Error('No wallet configured. Create or import a wallet first.');
+        }
+
+        try {
+            return await this.submit('unfollow', {
+                space: spaceId,
+                app: 'snapshot-mcp'
+            }, options);
+        } catch (error) {
+            throw new Error(`Failed to unfollow space: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delegate voting power for a space (or every space when spaceId is empty) in the
+     * delegate registry on a chain
+     * @param {object} options - { dryRun, validation }; see sendRegistryTransaction()
+     */
+    async setDelegation(spaceId, delegate, chainId, options = {}) {
+        if (!this.wallet) {
+            throw new Error('No wallet configured. Create or import a wallet first.');
+        }
+
+        try {
+            return await this.sendRegistryTransaction(chainId, 'setDelegate', [delegationId(spaceId), delegate], options);
+        } catch (error) {
+            throw new Error(`Failed to set delegation: ${error.reason || error.message}`);
+        }
+    }
+
+    /**
+     * Remove the delegation for a space (or the global one when spaceId is empty)
+     * @param {object} options - { dryRun, validation }; see sendRegistryTransaction()
+     */
+    async clearDelegation(spaceId, chainId, options = {}) {
+        if (!this.wallet) {
+            throw new Error('No wallet configured. Create or import a wallet first.');
+        }
+
+        try {
+            return await this.sendRegistryTransaction(chainId, 'clearDelegate', [delegationId(spaceId)], options);
+        } catch (error) {
+            throw new Error(`Failed to clear delegation: ${error.reason || error.message}`);
+        }
+    }
+
+    /**
+     * Send a delegate registry transaction from this wallet, or describe it in dry-run mode
+     * Unlike Snapshot messages these are on-chain transactions and cost gas
+     * @param {object} options - { dryRun, validation } where validation is a ValidationReport
+     */
+    async sendRegistryTransaction(chainId, method, args, { dryRun = false, validation = new ValidationReport() } = {}) {
+        const registry = getDelegateRegistry(chainId, this.wallet);
+
+        if (dryRun) {
+            const transaction = validation.valid
+                ? await registry.populateTransaction[method](...args)
+                : null;
+            return {
+                dry_run: true,
+                signer: this.wallet.address,
+                valid: validation.valid,
+                validation: validation.checks,
+                chain_id: String(chainId),
+                transaction: transaction && { to: transaction.to, data: transaction.data, method }
+            };
+        }
+
+        validation.assertValid();
+        const transaction = await registry[method](...args);
+        return {
+            hash: transaction.hash,
+            chain_id: String(chainId),
+            from: transaction.from,
+            to: transaction.to,
+            nonce: transaction.nonce
+        };
+    }
+}
+
+/**
+ * Cache lifetime for data tied to a proposal, based on how final it is
+ */
+function proposalCacheTtl(proposal) {
+    if (!proposal) return CACHE_TTLS.activeProposal;
+    if (proposal.state === 'closed') {
+        return proposal.scores_state === 'final' || proposal.scores_state === undefined
+            ? CACHE_TTLS.closedProposal
+            : CACHE_TTLS.closingProposal;
+    }
+    if (proposal.state === 'pending') return CACHE_TTLS.pendingProposal;
+    return CACHE_TTLS.activeProposal;
+}
+
+/**
+ * In-memory LRU cache for GraphQL responses
+ * Entries carry tags (e.g. 'proposal:<id>') so write operations can invalidate them
+ */
+class ResponseCache {
+    constructor(maxEntries = CACHE_MAX_ENTRIES) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+        this.hits = 0;
+        this.misses = 0;
+        this.evictions = 0;
+        this.invalidations = 0;
+    }
+
+    /**
+     * Build a cache key from the hub network, a query and its variables
+     */
+    key(network, query, variables) {
+        return createHash('sha256').update(JSON.stringify([network, query, variables])).digest('hex');
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry || entry.expires <= Date.now()) {
+            if (entry) this.entries.delete(key);
+            this.misses++;
+            return undefined;
+        }
+
+        // Refresh LRU position
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.hits++;
+        return structuredClone(entry.value);
+    }
+
+    set(key, value, ttl, tags = []) {
+        if (!ttl || ttl <= 0) return;
+
+        this.entries.delete(key);
+        this.entries.set(key, {
+            value: structuredClone(value),
+            expires: Date.now() + ttl,
+            tags
+        });
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.evictions++;
+        }
+    }
+
+    /**
+     * Drop every entry carrying any of the given tags
+     */
+    invalidate(...tags) {
+        for (const [key, entry] of this.entries) {
+            if (entry.tags.some(tag => tags.includes(tag))) {
+                this.entries.delete(key);
+                this.invalidations++;
+            }
+        }
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+
+    stats() {
+        const lookups = this.hits + this.misses;
+        return {
+            enabled: CACHE_ENABLED,
+            entries: this.entries.size,
+            max_entries: this.maxEntries,
+            hits: this.hits,
+            misses: this.misses,
+            hit_rate: lookups > 0 ? Number((this.hits / lookups).toFixed(3)) : 0,
+            evictions: this.evictions,
+            invalidations: this.invalidations
+        };
+    }
+}
+
+/**
+ * Token bucket refilled continuously at `perMinute` tokens per minute
+ */
+class TokenBucket {
+    constructor(perMinute) {
+        this.capacity = perMinute;
+        this.tokens = perMinute;
+        this.refillPerMs = perMinute / 60000;
+        this.lastRefill = Date.now();
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillPerMs);
+        this.lastRefill = now;
+    }
+
+    /**
+     * Milliseconds until a token is available (0 if one is available now)
+     */
+    waitTime() {
+        this.refill();
+        return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.refillPerMs);
+    }
+
+    take() {
+        this.tokens -= 1;
+    }
+}
+
+/**
+ * Rate limiter for Snapshot Hub requests
+ * Every request needs a token from the global bucket and from its session's bucket.
+ * When either is empty the request waits (up to maxWaitMs) instead of failing, and
+ * a 429 from the hub pauses all requests until its Retry-After has passed
+ */
+class RateLimiter {
+    constructor({
+        requestsPerMinute = MAX_REQUESTS_PER_MINUTE,
+        sessionRequestsPerMinute = SESSION_MAX_REQUESTS_PER_MINUTE,
+        maxWaitMs = RATE_LIMIT_MAX_WAIT_MS
+    } = {}) {
+        this.sessionRequestsPerMinute = sessionRequestsPerMinute;
+        this.maxWaitMs = maxWaitMs;
+        this.global = new TokenBucket(requestsPerMinute);
+        this.sessions = new Map();
+        this.blockedUntil = 0;
+        this.waiting = 0;
+        this.throttled = 0;
+        this.rejected = 0;
+    }
+
+    sessionBucket(sessionId) {
+        if (!sessionId) return null;
+        if (!this.sessions.has(sessionId)) {
+            this.sessions.set(sessionId, new TokenBucket(this.sessionRequestsPerMinute));
+        }
+        return this.sessions.get(sessionId);
+    }
+
+    /**
+     * Drop an ended session's bucket, so the map only holds live sessions
+     */
+    forget(sessionId) {
+        this.sessions.delete(sessionId);
+    }
+
+    /**
+     * Wait for a request slot, or throw once the wait would exceed maxWaitMs
+     */
+    async acquire(sessionId = null) {
+        const bucket = this.sessionBucket(sessionId);
+        const started = Date.now();
+        let queued = false;
+
+        try {
+            while (true) {
+                const wait = Math.max(
+                    this.blockedUntil - Date.now(),
+                    this.global.waitTime(),
+                    bucket ? bucket.waitTime() : 0
+                );
+
+                if (wait <= 0) {
+                    this.global.take();
+                    if (bucket) bucket.take();
+                    return;
+                }
+
+                if (Date.now() - started + wait > this.maxWaitMs) {
+                    this.rejected++;
+                    throw new Error(`Rate limit exceeded: no request slot available within ${Math.round(this.maxWaitMs / 1000)}s. Please wait before making more requests.`);
+                }
+
+                if (!queued) {
+                    queued = true;
+                    this.waiting++;
+                    this.throttled++;
+                }
+                await new Promise(resolve => setTimeout(resolve, wait));
+            }
+        } finally {
+            if (queued) this.waiting--;
+        }
+    }
+
+    /**
+     * Pause all requests after the hub answered 429
+     */
+    penalize(retryAfterMs) {
+        this.blockedUntil = Math.max(this.blockedUntil, Date.now() + retryAfterMs);
+    }
+
+    stats() {
+        this.global.refill();
+        return {
+            requests_per_minute: this.global.capacity,
+            session_requests_per_minute: this.sessionRequestsPerMinute,
+            sessions: this.sessions.size,
+            available: Math.floor(this.global.tokens),
+            waiting: this.waiting,
+            throttled: this.throttled,
+            rejected: this.rejected,
+            blocked_for_ms: Math.max(0, this.blockedUntil - Date.now())
+        };
+    }
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(header, fallbackMs = 10000) {
+    if (!header) return fallbackMs;
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? fallbackMs : Math.max(0, date - Date.now());
+}
+
+/**
+ * Render a GraphQL selection set from field names and { field: [subfields] } entries
+ */
+function renderSelection(fields) {
+    return fields.map(field => typeof field === 'string'
+        ? field
+        : Object.entries(field).map(([name, subfields]) => `${name} { ${renderSelection(subfields)} }`).join(' ')
+    ).join(' ');
+}
+
+/**
+ * Build a query whose root field only takes typed variables, never inlined values
+ * @param {object} variables - Variable name to GraphQL type, e.g. { id: 'String!' }; each one is
+ *   passed to the root field as the argument of the same name
+ * @param {Array} fields - Selection, as accepted by renderSelection
+ */
+function buildQuery(operation, root, variables, fields) {
+    const names = Object.keys(variables);
+    const declarations = names.map(name => `$${name}: ${variables[name]}`).join(', ');
+    const args = names.map(name => `${name}: $${name}`).join(', ');
+    return `query ${operation}(${declarations}) { ${root}(${args}) { ${renderSelection(fields)} } }`;
+}
+
+/**
+ * Optional groups of proposal fields; summary is always selected
+ */
+const PROPOSAL_FIELD_SETS = {
+    summary: [
+        'id', 'title', 'choices', 'start', 'end', 'snapshot', 'state', 'author', 'created', 'updated', 'type',
+        { space: ['id', 'name', 'avatar', 'symbol'] }, 'discussion', 'labels', 'app'
+    ],
+    body: ['ipfs', 'body'],
+    results: ['scores_state', 'scores_total', 'scores', 'votes', 'quorum'],
+    settings: [
+        'network', 'symbol', 'privacy', 'plugins',
+        { strategies: ['name', 'network', 'params'] }, { validation: ['name', 'params'] }
+    ]
+};
+
+/**
+ * Proposal selection for the named field sets
+ */
+function proposalFields(sets) {
+    const unknown = sets.filter(set => !PROPOSAL_FIELD_SETS[set]);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown proposal field sets: ${unknown.join(', ')}. Use ${Object.keys(PROPOSAL_FIELD_SETS).join(', ')}`);
+    }
+    return [...new Set(['summary', ...sets])].flatMap(set => PROPOSAL_FIELD_SETS[set]);
+}
+
+/**
+ * Snapshot GraphQL API Client
+ * Handles all interactions with Snapshot's GraphQL endpoint
+ */
+class SnapshotAPI {
+    constructor(network = SNAPSHOT_NETWORK) {
+        this.network = network;
+        this.graphqlEndpoints = resolveHubNetwork(network).graphqlEndpoints;
+        this.rateLimiter = new RateLimiter();
+        this.cache = new ResponseCache();
+        // Endpoint URL -> time its cooldown ends; shared by every view, whatever its network
+        this.endpointCooldowns = new Map();
+        this.sessionId = null;
+    }
+
+    /**
+     * View of this client whose requests count against a session's rate limit bucket
+     * Shares the cache and limiter with the original through the prototype chain
+     */
+    forSession(sessionId) {
+        const view = Object.create(this);
+        view.sessionId = sessionId;
+        return view;
+    }
+
+    /**
+     * View of this client that reads from another hub network
+     * Cache entries are keyed by network, so the shared cache never mixes hubs
+     */
+    forNetwork(network) {
+        const view = Object.create(this);
+        view.network = network;
+        view.graphqlEndpoints = resolveHubNetwork(network).graphqlEndpoints;
+        return view;
+    }
+
+    /**
+     * View of this client that reports pagination progress to onProgress({ progress, total, message })
+     */
+    withProgress(onProgress) {
+        const view = Object.create(this);
+        view.onProgress = onProgress;
+        return view;
+    }
+
+    /**
+     * Endpoints in the order to try them: healthy ones first, then those cooling down after a
+     * failure, soonest available first
+     */
+    orderedEndpoints() {
+        const now = Date.now();
+        const cooldown = (endpoint) => Math.max(0, (this.endpointCooldowns.get(endpoint) || 0) - now);
+        return [...this.graphqlEndpoints].sort((a, b) => cooldown(a) - cooldown(b));
+    }
+
+    /**
+     * Execute a GraphQL query against Snapshot Hub
+     * @param {object|null} cacheOptions - { ttl, tags } where ttl is in ms or a function
+     *   of the response data; omit to skip caching
+     */
+    async query(query, variables = {}, cacheOptions = null) {
+        const cacheKey = CACHE_ENABLED && cacheOptions ? this.cache.key(this.network, query, variables) : null;
+        if (cacheKey) {
+            const cached = this.cache.get(cacheKey);
+            if (cached !== undefined) {
+                return cached;
+            }
+        }
+
+        // Only idempotent reads are retried; a mutation gets exactly one attempt
+        const isRead = !/^\s*mutation\b/.test(query);
+        const maxAttempts = isRead ? QUERY_MAX_RETRIES + 1 : 1;
+
+        // Each attempt moves to the next endpoint so a failing hub is skipped, and one that failed
+        // recently is only tried after the others
+        const endpoints = this.orderedEndpoints();
+
+        try {
+            for (let attempt = 1; ; attempt++) {
+                const endpoint = endpoints[(attempt - 1) % endpoints.length];
+
+                try {
+                    const data = await this.fetchGraphQL(endpoint, query, variables);
+                    this.endpointCooldowns.delete(endpoint);
+
+                    if (cacheKey) {
+                        const ttl = typeof cacheOptions.ttl === 'function' ? cacheOptions.ttl(data) : cacheOptions.ttl;
+                        this.cache.set(cacheKey, data, ttl, cacheOptions.tags || []);
+                    }
+
+                    return data;
+                } catch (error) {
+                    if (error.retryable) {
+                        this.endpointCooldowns.set(endpoint, Date.now() + ENDPOINT_COOLDOWN_MS);
+                    }
+                    if (!error.retryable || attempt >= maxAttempts) {
+                        throw error;
+                    }
+
+                    // 429s already wait in the rate limiter; other failures back off with jitter
+                    const backoff = Math.min(QUERY_RETRY_MAX_DELAY_MS, QUERY_RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+                    const delay = error.status === 429 ? 0 : Math.round(backoff / 2 + Math.random() * backoff / 2);
+                    const nextEndpoint = endpoints[attempt % endpoints.length];
+                    console.warn(`Snapshot query failed on ${endpoint} (attempt ${attempt}/${maxAttempts}): ${error.message}. Retrying on ${nextEndpoint} in ${delay}ms`);
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                }
+            }
+        } catch (error) {
+            console.error('Snapshot API query failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Send one GraphQL request through the rate limiter
+     * Thrown errors carry `retryable` for network failures, timeouts, 429s and 5xx responses
+     */
+    async fetchGraphQL(endpoint, query, variables) {
+        await this.rateLimiter.acquire(this.sessionId);
+
+        let response;
+        try {
+            response = await fetch(endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json',
+                },
+                body: JSON.stringify({
+                    query,
+                    variables
+                }),
+                signal: AbortSignal.timeout(QUERY_TIMEOUT_MS)
+            });
+        } catch (error) {
+            const reason = error.name === 'TimeoutError' || error.name === 'AbortError'
+                ? `timed out after ${QUERY_TIMEOUT_MS}ms`
+                : error.message;
+            throw Object.assign(new Error(`GraphQL request failed: ${reason}`), { retryable: true });
+        }
+
+        if (response.status === 429) {
+            // Hub is rate limiting us: hold every request until Retry-After
+            this.rateLimiter.penalize(parseRetryAfter(response.headers.get('retry-after')));
+        }
+
+        if (!response.ok) {
+            throw Object.assign(new Error(`GraphQL request failed: ${response.status} ${response.statusText}`), {
+                status: response.status,
+                retryable: response.status === 429 || response.status >= 500
+            });
+        }
+
+        const data = await response.json();
+
+        if (data.errors) {
+            throw new Error(`GraphQL errors: ${JSON.stringify(data.errors)}`);
+        }
+
+        return data.data;
+    }
+
+    /**
+     * Send one GraphQL request to a subgraph; subgraphs are not the hub, so the rate limiter is skipped
+     */
+    async fetchSubgraph(url, query, variables) {
+        let response;
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json',
+                },
+                body: JSON.stringify({
+                    query,
+                    variables
+                }),
+                signal: AbortSignal.timeout(QUERY_TIMEOUT_MS)
+            });
+        } catch (error) {
+            const reason = error.name === 'TimeoutError' || error.name === 'AbortError'
+                ? `timed out after ${QUERY_TIMEOUT_MS}ms`
+                : error.message;
+            throw new Error(`Subgraph request to ${url} failed: ${reason}`);
+        }
+
+        if (!response.ok) {
+            throw new Error(`Subgraph request to ${url} failed: ${response.status} ${response.statusText}`);
+        }
+
+        const data = await response.json();
+
+        if (data.errors) {
+            throw new Error(`Subgraph errors from ${url}: ${JSON.stringify(data.errors)}`);
+        }
+
+        return data.data || {};
+    }
+
+    /**
+     * Drop cached responses after a write; tags look like 'proposal:<id>' or 'space:<id>'
+     */
+    invalidate(...tags) {
+        this.cache.invalidate(...tags);
+    }
+
+    /**
+     * Collect every row of a list query, up to maxItems (and never more than PAGINATION_MAX_ITEMS)
+     * fetchPage({ first, skip, where }) returns one page of rows. Skip advances until the hub's
+     * skip limit, then lists ordered by created restart from the last row's timestamp; rows seen
+     * twice are dropped by id. Other orderings stop at the skip limit and report incomplete
+     * @returns {{ items: object[], complete: boolean }}
+     */
+    async paginate(fetchPage, { label, pageSize, maxItems, orderBy, orderDirection, where = {} }) {
+        const limit = Math.min(maxItems || Infinity, PAGINATION_MAX_ITEMS);
+        const items = [];
+        const seen = new Set();
+        const cursorFilter = orderDirection === 'asc' ? 'created_gte' : 'created_lte';
+        let pageWhere = where;
+        let cursor = null;
+        let skip = 0;
+
+        while (true) {
+            // Ask for one row past the limit, so reaching it is only reported as incomplete when
+            // more rows exist
+            const first = Math.min(pageSize, limit - items.length + 1);
+            const page = await fetchPage({ first, skip, where: pageWhere });
+
+            let overflow = false;
+            for (const row of page) {
+                if (seen.has(row.id)) continue;
+                if (items.length === limit) {
+                    overflow = true;
+                    break;
+                }
+                seen.add(row.id);
+                items.push(row);
+            }
+            this.onProgress?.({
+                progress: items.length,
+                total: maxItems ? limit : undefined,
+                message: `Fetched ${items.length} ${label}`
+            });
+
+            if (overflow) {
+                return { items, complete: false };
+            }
+            if (page.length < first) {
+                return { items, complete: true };
+            }
+
+            skip += page.length;
+            if (skip + pageSize > HUB_MAX_SKIP) {
+                const last = page[page.length - 1].created;
+                // More rows than the skip limit share one timestamp: the cursor cannot move past them
+                if (orderBy !== 'created' || last === cursor) {
+                    return { items, complete: false };
+                }
+                cursor = last;
+                pageWhere = { ...where, [cursorFilter]: cursor };
+                skip = 0;
+            }
+        }
+    }
+
+    /**
+     * Get details of a single space by ID
+     */
+    async getSpace(spaceId) {
+        const query = buildQuery('GetSpace', 'space', { id: 'String!' }, [
+            'id', 'name', 'about', 'network', 'symbol', 'avatar', 'website', 'twitter', 'github', 'private',
+            'domain', 'members', 'admins', 'moderators', 'followersCount', 'proposalsCount',
+            { strategies: ['name', 'network', 'params'] },
+            { voting: ['delay', 'period', 'type', 'quorum', 'privacy'] },
+            { validation: ['name', 'params'] },
+            { filters: ['minScore', 'onlyMembers'] },
+            { labels: ['id', 'name'] }
+        ]);
+
+        return await this.query(query, { id: spaceId }, {
+            ttl: CACHE_TTLS.space,
+            tags: [`space:${spaceId}`]
+        });
+    }
+
+    /**
+     * Get multiple spaces with filtering options
+     * `where` is a SpaceWhere filter, e.g. { search, category, network, verified, followersCount_gte }
+     */
+    async getSpaces(options = {}) {
+        const {
+            first = 20,
+            skip = 0,
+            orderBy = "created",
+            orderDirection = "desc",
+            where = {}
+        } = options;
+
+        const query = buildQuery('GetSpaces', 'spaces', {
+            first: 'Int!',
+            skip: 'Int!',
+            orderBy: 'String!',
+            orderDirection: 'OrderDirection!',
+            where: 'SpaceWhere'
+        }, [
+            'id', 'name', 'about', 'network', 'symbol', 'avatar', 'categories', 'verified',
+            'followersCount', 'proposalsCount', 'private'
+        ]);
+
+        return await this.query(query, {
+            first,
+            skip,
+            orderBy,
+            orderDirection,
+            where
+        }, {
+            ttl: CACHE_TTLS.spaceList,
+            tags: ['spaces']
+        });
+    }
+
+    /**
+     * Get details of a single proposal by ID
+     * @param {object} options - fields: proposal field sets to select (default: all of them)
+     */
+    async getProposal(proposalId, options = {}) {
+        const { fields = Object.keys(PROPOSAL_FIELD_SETS) } = options;
+
+        const query = buildQuery('GetProposal', 'proposal', { id: 'String!' }, proposalFields(fields));
+
+        return await this.query(query, { id: proposalId }, {
+            ttl: (data) => proposalCacheTtl(data?.proposal),
+            tags: [`proposal:${proposalId}`]
+        });
+    }
+
+    /**
+     * Get proposals with filtering options
+     * `fields` lists the proposal field sets to select besides summary (default: body and results)
+     * With all or maxItems set, pages through every match and returns { proposals, complete }
+     */
+    async getProposals(options = {}) {
+        const {
+            first = 20,
+            skip = 0,
+            orderBy = "created",
+            orderDirection = "desc",
+            where = {},
+            fields = ['body', 'results'],
+            all = false,
+            maxItems = null
+        } = options;
+
+        if (all || maxItems) {
+            const { items, complete } = await this.paginate(
+                (page) => this.getProposals({ orderBy, orderDirection, fields, ...page }).then(data => data.proposals),
+                { label: 'proposals', pageSize: 100, maxItems, orderBy, orderDirection, where }
+            );
+            return { proposals: items, complete };
+        }
+
+        const query = buildQuery('GetProposals', 'proposals', {
+            first: 'Int!',
+            skip: 'Int!',
+            orderBy: 'String!',
+            orderDirection: 'OrderDirection!',
+            where: 'ProposalWhere'
+        }, proposalFields(fields));
+
+        return await this.query(query, {
+            first,
+            skip,
+            orderBy,
+            orderDirection,
+            where
+        }, {
+            ttl: CACHE_TTLS.proposalList,
+            tags: ['proposals', ...(where.space ? [`proposals:${where.space}`] : [])]
+        });
+    }
+
+    /**
+     * Get votes for a proposal
+     * With all or maxItems set, pages through every vote and returns { votes, complete }
+     */
+    async getVotes(proposalId, options = {}) {
+        const {
+            first = 1000,
+            skip = 0,
+            orderBy = "created",
+            orderDirection = "desc",
+            voter = null,
+            where: filters = {},
+            all = false,
+            maxItems = null
+        } = options;
+
+        if (all || maxItems) {
+            const { items, complete } = await this.paginate(
+                (page) => this.getVotes(proposalId, { orderBy, orderDirection, voter, ...page }).then(data => data.votes),
+                { label: 'votes', pageSize: 1000, maxItems, orderBy, orderDirection, where: filters }
+            );
+            return { votes: items, complete };
+        }
+
+        const where = { ...filters, proposal: proposalId };
+        if (voter) {
+            where.voter = voter.toLowerCase();
+        }
+
+        const query = buildQuery('GetVotes', 'votes', {
+            where: 'VoteWhere',
+            first: 'Int!',
+            skip: 'Int!',
+            orderBy: 'String!',
+            orderDirection: 'OrderDirection!'
+        }, [
+            'id', 'voter', 'choice', 'vp', 'vp_by_strategy', 'created',
+            { proposal: ['id', 'choices', 'state'] }, { space: ['id'] }, 'reason', 'app'
+        ]);
+
+        return await this.query(query, {
+            where,
+            first,
+            skip,
+            orderBy,
+            orderDirection
+        }, {
+            // Votes are final once their proposal has closed
+            ttl: (data) => data?.votes?.[0]?.proposal?.state === 'closed'
+                ? CACHE_TTLS.closedProposal
+                : CACHE_TTLS.activeProposal,
+            tags: [`votes:${proposalId}`]
+        });
+    }
+
+    /**
+     * Get an address's voting power in a space, at a proposal's snapshot when given
+     */
+    async getVotingPower(voter, spaceId, proposalId = null) {
+        const query = buildQuery('GetVotingPower', 'vp', {
+            voter: 'String!',
+            space: 'String!',
+            proposal: 'String'
+        }, ['vp', 'vp_by_strategy', 'vp_state']);
+
+        return await this.query(query, {
+            voter,
+            space: spaceId,
+            proposal: proposalId
+        }, {
+            ttl: CACHE_TTLS.votingPower,
+            tags: [`vp:${voter.toLowerCase()}`]
+        });
+    }
+
+    /**
+     * Get votes cast by an address, newest first, optionally within a single space
+     * With all or maxItems set, pages through every vote and returns { votes, complete }
+     */
+    async getVoterVotes(voter, options = {}) {
+        const {
+            first = 100,
+            skip = 0,
+            space = null,
+            where: filters = {},
+            all = false,
+            maxItems = null
+        } = options;
+
+        if (all || maxItems) {
+            const { items, complete } = await this.paginate(
+                (page) => this.getVoterVotes(voter, { space, ...page }).then(data => data.votes),
+                { label: 'votes', pageSize: 1000, maxItems, orderBy: 'created', orderDirection: 'desc', where: filters }
+            );
+            return { votes: items, complete };
+        }
+
+        const where = { ...filters, voter: voter.toLowerCase() };
+        if (space) {
+            where.space = space;
+        }
+
+        const query = buildQuery('GetVoterVotes', 'votes', {
+            where: 'VoteWhere',
+            first: 'Int!',
+            skip: 'Int!',
+            orderBy: 'String!',
+            orderDirection: 'OrderDirection!'
+        }, [
+            'id', 'voter', 'choice', 'vp', 'created', 'reason',
+            { proposal: ['id', 'title', 'choices', 'type', 'state', 'privacy', 'end', 'scores', 'scores_state', 'scores_total'] },
+            { space: ['id', 'name'] }
+        ]);
+
+        return await this.query(query, { where, first, skip, orderBy: 'created', orderDirection: 'desc' }, {
+            ttl: CACHE_TTLS.user,
+            tags: [`voter:${where.voter}`]
+        });
+    }
+
+    /**
+     * Get user profile information
+     */
+    async getUserProfile(address) {
+        const query = buildQuery('GetUser', 'user', { id: 'String!' }, [
+            'id', 'name', 'about', 'avatar', 'created', 'votesCount', 'proposalsCount'
+        ]);
+
+        return await this.query(query, { id: address.toLowerCase() }, {
+            ttl: CACHE_TTLS.user,
+            tags: [`user:${address.toLowerCase()}`]
+        });
+    }
+
+    /**
+     * Get spaces that a user follows
+     */
+    async getUserFollows(address, options = {}) {
+        const {
+            first = 20,
+            skip = 0
+        } = options;
+
+        const query = buildQuery('GetUserFollows', 'follows', {
+            where: 'FollowWhere',
+            first: 'Int!',
+            skip: 'Int!'
+        }, [
+            'id', 'follower', { space: ['id', 'name', 'about', 'avatar', 'followersCount'] }, 'created'
+        ]);
+
+        return await this.query(query, {
+            where: { follower: address.toLowerCase() },
+            first,
+            skip
+        }, {
+            ttl: CACHE_TTLS.user,
+            tags: [`follows:${address.toLowerCase()}`]
+        });
+    }
+
+    /**
+     * Get delegations from a chain's delegation subgraph
+     * @param {object} options - delegator, delegators (list) or delegate addresses, and space,
+     *   which also matches delegations for every space (stored with an empty space)
+     */
+    async getDelegations(chainId, options = {}) {
+        const {
+            delegator = null,
+            delegators = null,
+            delegate = null,
+            space = null,
+            first = 1000
+        } = options;
+
+        const url = DELEGATION_SUBGRAPH_URLS[chainId];
+        if (!url) {
+            throw new Error(`No delegation subgraph configured for chain ${chainId}. Set DELEGATION_SUBGRAPH_URLS.`);
+        }
+
+        const where = {};
+        if (delegator) where.delegator = delegator.toLowerCase();
+        if (delegators) where.delegator_in = delegators.map(address => address.toLowerCase());
+        if (delegate) where.delegate = delegate.toLowerCase();
+        if (space) {
+            // Early delegations stored ENS space IDs without the .eth suffix
+            where.space_in = ['', space];
+            if (space.endsWith('.eth')) where.space_in.push(space.slice(0, -4));
+        }
+
+        const cacheKey = CACHE_ENABLED ? this.cache.key(`subgraph:${chainId}`, 'delegations', { where, first }) : null;
+        if (cacheKey) {
+            const cached = this.cache.get(cacheKey);
+            if (cached !== undefined) {
+                return cached;
+            }
+        }
+
+        const query = buildQuery('GetDelegations', 'delegations', {
+            where: 'Delegation_filter',
+            first: 'Int!',
+            orderBy: 'Delegation_orderBy',
+            orderDirection: 'OrderDirection'
+        }, ['delegator', 'delegate', 'space', 'timestamp']);
+        const data = await this.fetchSubgraph(url, query, { where, first, orderBy: 'timestamp', orderDirection: 'desc' });
+
+        if (cacheKey) {
+            const tags = [where.delegator, where.delegate].filter(Boolean).map(address => `delegations:${address}`);
+            this.cache.set(cacheKey, data, CACHE_TTLS.delegations, tags);
+        }
+
+        return data;
+    }
+}
+
+/**
+ * Wrap a WalletManager dry-run preview as a tool response
+ */
+function dryRunResponse(preview, note = "The timestamp is set again when the message is actually signed.") {
+    return {
+        status: "success",
+        data: {
+            ...preview,
+            message: preview.valid
+                ? `Dry run: nothing was signed or sent. ${note}`
+                : "Dry run: validation failed, so no payload was built. Nothing was signed or sent."
+        }
+    };
+}
+
+/**
+ * Human-readable label for a vote choice, e.g. "(1st) Yes, (2nd) No" for ranked-choice
+ */
+function describeVoteChoice(type, choice, choices) {
+    const Voting = snapshot.utils.voting[type];
+    try {
+        return Voting ? new Voting({ choices }, [], [], choice).getChoiceString() : JSON.stringify(choice);
+    } catch (error) {
+        return JSON.stringify(choice);
+    }
+}
+
+/**
+ * Instant-runoff rounds for ranked-choice votes, following snapshot.js's tally: each round
+ * counts first preferences among the remaining choices and drops the weakest, until one
+ * choice holds a majority or fewer than three remain
+ */
+function rankedChoiceRounds(votes, choices) {
+    let ballots = votes.map(vote => ({ ranking: vote.choice, vp: vote.vp }));
+    const rounds = [];
+
+    while (ballots.length > 0) {
+        // Candidates in choice-number order, as snapshot.js counts them
+        const candidates = [...new Set(ballots.flatMap(ballot => ballot.ranking))].sort((a, b) => a - b);
+        const tally = new Map(candidates.map(candidate => [candidate, 0]));
+        for (const ballot of ballots) {
+            tally.set(ballot.ranking[0], tally.get(ballot.ranking[0]) + ballot.vp);
+        }
+        const total = ballots.reduce((sum, ballot) => sum + ballot.vp, 0);
+        const sorted = [...tally.entries()].sort((a, b) => b[1] - a[1]);
+
+        const round = {
+            round: rounds.length + 1,
+            scores: sorted.map(([choice, vp]) => ({
+                choice,
+                label: choices[choice - 1],
+                vp,
+                percentage: total > 0 ? (vp / total) * 100 : 0
+            }))
+        };
+        rounds.push(round);
+
+        if (sorted[0][1] > total / 2 || sorted.length < 3) {
+            break;
+        }
+
+        // The choice with the fewest first preferences is dropped; ties go to the lowest choice number
+        const lowest = Math.min(...tally.values());
+        const eliminated = candidates.find(candidate => tally.get(candidate) === lowest);
+        round.eliminated = { choice: eliminated, label: choices[eliminated - 1] };
+        ballots = ballots
+            .map(ballot => ({ ...ballot, ranking: ballot.ranking.filter(choice => choice !== eliminated) }))
+            .filter(ballot => ballot.ranking.length > 0);
+    }
+
+    return rounds;
+}
+
+/**
+ * Tally and outcome of a proposal: per-choice results, margin, quorum, turnout against the
+ * space's previous proposals and the largest voters
+ * @param {object} options - { compareWith, topVoters, maxVotes }
+ */
+async function analyzeProposal(snapshotAPI, proposalId, options = {}) {
+    const { compareWith = 10, topVoters = 10, maxVotes = 5000 } = options;
+
+    const { proposal } = await snapshotAPI.getProposal(proposalId);
+    if (!proposal) {
+        throw new Error(`Proposal not found: ${proposalId}`);
+    }
+    const { space } = await snapshotAPI.getSpace(proposal.space.id);
+    const notes = [];
+
+    // Created order pages past the hub's skip limit, so it is used whenever every vote fits;
+    // otherwise the largest voters come first so a truncated fetch still has the top voters
+    const fetchAll = (proposal.votes || 0) <= maxVotes;
+    const { votes } = await snapshotAPI.getVotes(proposalId, fetchAll
+        ? { maxItems: maxVotes, orderBy: 'created', orderDirection: 'asc' }
+        : { maxItems: maxVotes, orderBy: 'vp', orderDirection: 'desc' });
+    votes.sort((a, b) => b.vp - a.vp);
+
+    const encrypted = proposal.privacy === 'shutter' && proposal.state !== 'closed';
+    const complete = votes.length >= (proposal.votes || 0);
+    const Voting = snapshot.utils.voting[proposal.type] || snapshot.utils.voting['single-choice'];
+
+    let scores;
+    let total;
+    let tallySource;
+    if (complete && !encrypted) {
+        const ballots = votes.map(vote => ({ choice: vote.choice, balance: vote.vp, scores: vote.vp_by_strategy || [] }));
+        const tally = new Voting(proposal, ballots, proposal.strategies || []);
+        scores = tally.getScores();
+        total = votes.reduce((sum, vote) => sum + vote.vp, 0);
+        tallySource = 'votes';
+    } else {
+        scores = proposal.scores || [];
+        total = proposal.scores_total || 0;
+        tallySource = 'hub';
+        notes.push(encrypted
+            ? 'Votes are encrypted with Shutter until the proposal closes; results are the hub\'s scores'
+            : `Only ${votes.length} of ${proposal.votes} votes were fetched; results are the hub's scores`);
+    }
+
+    const results = proposal.choices.map((label, i) => ({
+        choice: i + 1,
+        label,
+        vp: scores[i] || 0,
+        percentage: total > 0 ? ((scores[i] || 0) / total) * 100 : 0
+    }));
+
+    // Basic voting never lets Abstain win, so the race is between For and Against
+    const contenders = proposal.type === 'basic' ? results.slice(0, 2) : results;
+    const ranked = [...contenders].sort((a, b) => b.vp - a.vp);
+    const [leader, runnerUp] = ranked;
+    const margin = leader && runnerUp ? {
+        vp: leader.vp - runnerUp.vp,
+        percentage_points: leader.percentage - runnerUp.percentage,
+        runner_up: runnerUp.label
+    } : null;
+    if (proposal.type === 'approval') {
+        notes.push('Approval votes count toward every approved choice, so percentages can add up to more than 100%');
+    }
+    if (proposal.type === 'quadratic') {
+        notes.push('Quadratic scores are scaled so they add up to the total voting power cast');
+    }
+
+    const requiredQuorum = proposal.quorum > 0 ? proposal.quorum : space?.voting?.quorum || 0;
+    const quorum = requiredQuorum > 0 ? {
+        required: requiredQuorum,
+        source: proposal.quorum > 0 ? 'proposal' : 'space',
+        reached: total >= requiredQuorum,
+        progress: (total / requiredQuorum) * 100
+    } : null;
+
+    const { proposals: previous } = await snapshotAPI.getProposals({
+        first: compareWith,
+        where: { space: proposal.space.id, state: 'closed', created_lt: proposal.created }
+    });
+    const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const previousVotes = previous.map(p => p.votes || 0);
+    const previousVp = previous.map(p => p.scores_total || 0);
+    const turnout = {
+        votes: proposal.votes || votes.length,
+        vp: total,
+        previous: previous.length > 0 ? {
+            proposals: previous.length,
+            average_votes: average(previousVotes),
+            median_votes: [...previousVotes].sort((a, b) => a - b)[Math.floor(previousVotes.length / 2)],
+            average_vp: average(previousVp)
+        } : null
+    };
+    if (turnout.previous) {
+        turnout.votes_vs_average = turnout.previous.average_votes > 0 ? turnout.votes / turnout.previous.average_votes : null;
+        turnout.vp_vs_average = turnout.previous.average_vp > 0 ? turnout.vp / turnout.previous.average_vp : null;
+    }
+
+    const analysis = {
+        proposal: {
+            id: proposal.id,
+            title: proposal.title,
+            space: proposal.space.id,
+            type: proposal.type,
+            state: proposal.state,
+            scores_state: proposal.scores_state,
+            start: proposal.start,
+            end: proposal.end
+        },
+        tally_source: tallySource,
+        results,
+        [proposal.state === 'closed' ? 'winner' : 'leader']: leader || null,
+        margin,
+        quorum,
+        turnout,
+        top_voters: votes.slice(0, topVoters).map(vote => ({
+            voter: vote.voter,
+            vp: vote.vp,
+            share: total > 0 ? (vote.vp / total) * 100 : 0,
+            choice: encrypted ? null : describeVoteChoice(proposal.type, vote.choice, proposal.choices),
+            reason: vote.reason || undefined
+        })),
+        notes
+    };
+
+    if (proposal.type === 'ranked-choice' && tallySource === 'votes') {
+        const validVotes = votes.filter(vote => Voting.isValidChoice(vote.choice, proposal.choices));
+        analysis.ranked_choice_rounds = rankedChoiceRounds(validVotes, proposal.choices);
+    }
+
+    return analysis;
+}
+
+/**
+ * Winning choice (1-based) of a closed proposal with final scores, or null while undecided or tied
+ * Basic voting never lets Abstain win, so only For and Against are compared
+ */
+function winningChoice(proposal) {
+    if (proposal.state !== 'closed' || proposal.scores_state !== 'final' || !proposal.scores?.length) {
+        return null;
+    }
+    const scores = proposal.type === 'basic' ? proposal.scores.slice(0, 2) : proposal.scores;
+    const top = Math.max(...scores);
+    const leaders = scores.filter(score => score === top);
+    return top > 0 && leaders.length === 1 ? scores.indexOf(top) + 1 : null;
+}
+
+/**
+ * Whether a vote backed the winning choice: its single choice, an approved choice, its first
+ * preference, or its largest allocation for weighted and quadratic votes
+ */
+function votedWithWinner(type, choice, winner) {
+    switch (type) {
+        case 'approval':
+            return Array.isArray(choice) ? choice.includes(winner) : null;
+        case 'ranked-choice':
+            return Array.isArray(choice) ? choice[0] === winner : null;
+        case 'weighted':
+        case 'quadratic': {
+            if (!choice || typeof choice !== 'object') return null;
+            const [top] = Object.entries(choice).sort((a, b) => b[1] - a[1]);
+            return top ? Number(top[0]) === winner : null;
+        }
+        default:
+            return typeof choice === 'number' ? choice === winner : null;
+    }
+}
+
+/**
+ * Share of eligible proposals an address voted on, per space, over each space's latest closed
+ * proposals. A missed proposal counts as eligible when the address had voting power at its snapshot
+ */
+async function voterParticipation(snapshotAPI, address, spaceIds, window) {
+    const spaces = [];
+
+    for (const spaceId of spaceIds) {
+        // Only the proposal ids are read, so skip the body and results
+        const { proposals } = await snapshotAPI.getProposals({
+            first: window,
+            where: { space: spaceId, state: 'closed' },
+            fields: []
+        });
+        if (proposals.length === 0) continue;
+
+        const { votes } = await snapshotAPI.getVoterVotes(address, {
+            first: proposals.length,
+            where: { proposal_in: proposals.map(p => p.id) }
+        });
+        const voted = new Set(votes.map(vote => vote.proposal.id));
+
+        let eligible = voted.size;
+        let unknown = 0;
+        for (const proposal of proposals.filter(p => !voted.has(p.id))) {
+            try {
+                const { vp } = await snapshotAPI.getVotingPower(address, spaceId, proposal.id);
+                if (vp?.vp > 0) eligible++;
+            } catch (error) {
+                unknown++;
+            }
+        }
+
+        spaces.push({
+            space: spaceId,
+            proposals: proposals.length,
+            eligible,
+            voted: voted.size,
+            unknown: unknown || undefined,
+            participation_rate: eligible > 0 ? (voted.size / eligible) * 100 : null
+        });
+    }
+
+    const eligible = spaces.reduce((sum, space) => sum + space.eligible, 0);
+    const voted = spaces.reduce((sum, space) => sum + space.voted, 0);
+    return {
+        window,
+        eligible,
+        voted,
+        participation_rate: eligible > 0 ? (voted / eligible) * 100 : null,
+        spaces
+    };
+}
+
+/**
+ * An address's votes with resolved choices and outcomes, how often it sided with the winner
+ * and its participation rate
+ * @param {object} options - { space, maxVotes, participationWindow, participationSpaces }
+ */
+async function voterHistory(snapshotAPI, address, options = {}) {
+    const { space = null, maxVotes = 1000, participationWindow = 10, participationSpaces = 5 } = options;
+
+    const { votes, complete } = await snapshotAPI.getVoterVotes(address, { space, maxItems: maxVotes });
+
+    const history = votes.map(vote => {
+        const proposal = vote.proposal;
+        // Shutter votes stay encrypted strings until the proposal closes
+        const encrypted = typeof vote.choice === 'string';
+        const winner = winningChoice(proposal);
+        return {
+            proposal_id: proposal.id,
+            title: proposal.title,
+            space: vote.space.id,
+            type: proposal.type,
+            proposal_state: proposal.state,
+            created: vote.created,
+            choice: vote.choice,
+            choice_label: encrypted ? null : describeVoteChoice(proposal.type, vote.choice, proposal.choices),
+            vp: vote.vp,
+            outcome: winner ? proposal.choices[winner - 1] : null,
+            with_winner: winner && !encrypted ? votedWithWinner(proposal.type, vote.choice, winner) : null,
+            reason: vote.reason || undefined
+        };
+    });
+
+    const decided = history.filter(vote => vote.with_winner !== null);
+    const withWinner = decided.filter(vote => vote.with_winner).length;
+
+    // Participation covers the requested space, or the spaces the address votes in most
+    const voteCounts = new Map();
+    for (const vote of history) {
+        voteCounts.set(vote.space, (voteCounts.get(vote.space) || 0) + 1);
+    }
+    const spaceIds = space ? [space] : [...voteCounts.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, participationSpaces)
+        .map(([spaceId]) => spaceId);
+
+    return {
+        address,
+        space: space || undefined,
+        complete,
+        summary: {
+            votes: history.length,
+            spaces: voteCounts.size,
+            total_vp: history.reduce((sum, vote) => sum + (vote.vp || 0), 0),
+            average_vp: history.length > 0 ? history.reduce((sum, vote) => sum + (vote.vp || 0), 0) / history.length : 0,
+            decided: decided.length,
+            with_winner: withWinner,
+            with_winner_rate: decided.length > 0 ? (withWinner / decided.length) * 100 : null
+        },
+        participation: await voterParticipation(snapshotAPI, address, spaceIds, participationWindow),
+        votes: history
+    };
+}
+
+/**
+ * Chain a delegation lives on: chain_id if given, else the space's network, else Ethereum mainnet
+ */
+async function resolveDelegationChain(snapshotAPI, spaceId, chainId) {
+    if (chainId) return String(chainId);
+    if (!spaceId) return '1';
+
+    const { space } = await snapshotAPI.getSpace(spaceId);
+    if (!space) {
+        throw new Error(`Space not found: ${spaceId}`);
+    }
+    return String(space.network);
+}
+
+/**
+ * MCP Tool implementations for Snapshot functionality
+ */
+/**
+ * Schema of the fields argument that picks proposal field sets
+ */
+const PROPOSAL_FIELDS_ARGUMENT = {
+    type: "array",
+    items: {
+        type: "string",
+        enum: Object.keys(PROPOSAL_FIELD_SETS).filter(set => set !== 'summary')
+    },
+    description: "Optional field sets to include besides the summary: 'body' (body and IPFS hash), 'results' (scores, vote count and quorum) and 'settings' (strategies, validation, plugins, privacy). Defaults to all of them"
+};
+
+/**
+ * Per-call hub network override shared by tools that sign or check eligibility
+ */
+const NETWORK_ARGUMENT = {
+    type: "string",
+    enum: ["mainnet", "testnet", "custom"],
+    description: "Hub network for this call only. Defaults to the session's network (see select_network)"
+};
+
+/**
+ * Opt-in reverse ENS lookup for tools whose address arguments take raw 0x addresses
+ */
+const REVERSE_ENS_ARGUMENT = {
+    type: "boolean",
+    description: "Also look up the primary ENS name of each raw address argument for the response's addresses object. Defaults to false, which saves an RPC call per address"
+};
+
+const tools = {
+    /**
+     * Get information about a Snapshot space
+     */
+    get_space: {
+        name: "get_space",
+        description: "Get detailed information about a Snapshot space (DAO/community)",
+        inputSchema: {
+            type: "object",
+            properties: {
+                space_id: {
+                    type: "string",
+                    description: "The space ID (usually an ENS name like 'uniswap.eth' or 'aave.eth')"
+                }
+            },
+            required: ["space_id"]
+        },
+        handler: async (args, snapshotAPI, walletManager) => {
+            try {
+                const result = await snapshotAPI.getSpace(args.space_id);
+                return {
+                    status: "success",
+                    data: result,
+                    space_id: args.space_id
+                };
+            } catch (error) {
+                return {
+                    status: "error",
+                    error: error.message,
+                    space_id: args.space_id
+                };
+            }
+        }
+    },
+
+    /**
+     * Search and list Snapshot spaces
+     */
+    list_spaces: {
+        name: "list_spaces",
+        description: "List and search Snapshot spaces with filtering options",
+        inputSchema: {
+            type: "object",
+            properties: {
+                first: {
+                    type: "number",
+                    description: "Number of spaces to return (max 100)",
+                    maximum: 100,
+                    default: 20
+                },
+                skip: {
+                    type: "number",
+                    description: "Number of spaces to skip for pagination",
+                    default: 0
+                },
+                search: {
+                    type: "string",
+                    description: "Search term to filter spaces by name or ID"
+                },
+                category: {
+                    type: "string",
+                    description: "Filter by category (e.g. 'protocol', 'social', 'investment', 'grant', 'service', 'media', 'creator', 'collector')"
+                },
+                network: {
+                    type: "string",
+                    description: "Filter by the space's chain ID (e.g. '1' for Ethereum mainnet, '137' for Polygon)"
+                },
+                verified: {
+                    type: "boolean",
+                    description: "Only return verified spaces when true, or only unverified spaces when false"
+                },
+                min_followers: {
+                    type: "number",
+                    description: "Only return spaces with at least this many followers"
+                },
+                order_by: {
+                    type: "string",
+                    enum: ["created", "updated", "followersCount", "proposalsCount"],
+                    description: "Field to order results by",
+                    default: "created"
+                },
+                order_direction: {
+                    type: "string",
+                    enum: ["asc", "desc"],
+                    description: "Order direction",
+                    default: "desc"
+                }
+            }
+        },
+        handler: async (args, snapshotAPI, walletManager) => {
+            try {
+                const where = {};
+                
+                if (args.search) {
+                    where.search = args.search;
+                }
+                
+                if (args.category) {
+                    where.category = args.category.toLowerCase();
+                }
+
+                if (args.network) {
+                    where.network = String(args.network);
+                }
+
+                if (typeof args.verified === "boolean") {
+                    where.verified = args.verified;
+                }
+
+                if (args.min_followers) {
+                    where.followersCount_gte = args.min_followers;
+                }
+
+                const result = await snapshotAPI.getSpaces({
+                    first: Math.min(args.first || 20, 100),
+                    skip: args.skip || 0,
+                    orderBy: args.order_by || "created",
+                    orderDirection: args.order_direction || "desc",
+                    where
+                });
+
+                return {
+                    status: "success",
+                    data: result,
+                    query: args
+                };
+            } catch (error) {
+                return {
+                    status: "error",
+                    error: error.message,
+                    query: args
+                };
+            }
+        }
+    },
+
+    /**
+     * Get detailed information about a proposal
+     */
+    get_proposal: {
+        name: "get_proposal",
+        description: "Get detailed information about a specific Snapshot proposal",
+        inputSchema: {
+            type: "object",
+            properties: {
+                proposal_id: {
+                    type: "string",
+                    description: "The proposal ID (IPFS hash or hex string)"
+                },
+                fields: PROPOSAL_FIELDS_ARGUMENT
+            },
+            required: ["proposal_id"]
+        },
+        handler: async (args, snapshotAPI, walletManager) => {
+            try {
+                const result = await snapshotAPI.getProposal(args.proposal_id, {
+                    ...(args.fields && { fields: args.fields })
+                });
+                return {
+                    status: "success",
+                    data: result,
+                    proposal_id: args.proposal_id
+                };
+            } catch (error) {
+                return {
+                    status: "error",
+                    error: error.message,
+                    proposal_id: args.proposal_id
+                };
+            }
+        }
+    },
+
+    /**
+     * List proposals with filtering
+     */
+    list_proposals: {
+        name: "list_proposals",
+        description: "List and search proposals with filtering options",
+        inputSchema: {
+            type: "object",
+            properties: {
+                space: {
+                    type: "string",
+                    description: "Filter by space ID"
+                },
+                state: {
+                    type: "string",
+                    enum: ["pending", "active", "closed"],
+                    description: "Filter by proposal state"
+                },
+                author: {
+                    type: "string",
+                    description: "Filter by proposal author address or ENS name"
+                },
+                reverse_ens: REVERSE_ENS_ARGUMENT,
+                first: {
+                    type: "number",
+                    description: "Number of proposals to return (max 100)",
+                    maximum: 100,
+                    default: 20
+                },
+                skip: {
+                    type: "number",
+                    description: "Number of proposals to skip for pagination",
+                    default: 0
+                },
+                order_by: {
+                    type: "string",
+                    enum: ["created", "updated", "start", "end", "votes"],
+                    description: "Field to order results by",
+                    default: "created"
+                },
+                order_direction: {
+                    type: "string",
+                    enum: ["asc", "desc"],
+                    description: "Order direction",
+                    default: "desc"
+                },
+                all: {
+                    type: "boolean",
+                    description: "Page through every matching proposal instead of returning one page (first and skip are ignored)",
+                    default: false
+                },
+                max_items: {
+                    type: "number",
+                    description: "Page through results until this many proposals are collected"
+                },
+                fields: {
+                    ...PROPOSAL_FIELDS_ARGUMENT,
+                    description: "Optional field sets to include besides the summary: 'body' (body and IPFS hash), 'results' (scores, vote count and quorum) and 'settings' (strategies, validation, plugins, privacy). Defaults to body and results; leave out body to keep large lists small"
+                }
+            }
+        },
+        handler: async (args, snapshotAPI, walletManager) => {
+            try {
+                const where = {};
+                
+                if (args.space) {
+                    where.space = args.space;
+                }
+                
+                if (args.state) {
+                    where.state = args.state;
+                }
+                
+                if (args.author) {
+                    where.author = args.author.toLowerCase();
+                }
+
+                const result = await snapshotAPI.getProposals({
+                    first: Math.min(args.first || 20, 100),
+                    skip: args.skip || 0,
+                    orderBy: args.order_by || "created",
+                    orderDirection: args.order_direction || "desc",
+                    where,
+                    ...(args.fields && { fields: args.fields }),
+                    all: args.all === true,
+                    maxItems: args.max_items || null
+                });
+
+                return {
+                    status: "success",
+                    data: result,
+                    query: args
+                };
+            } catch (error) {
+                return {
+                    status: "error",
+                    error: error.message,
+                    query: args
+                };
+            }
+        }
+    },
+
+    /**
      * Get votes for a proposal
      */
-    async getVotes(proposalId, options = {}) {
-        const {
-            first = 1000,
-            skip = 0,
-            orderBy = "created",
-            orderDirection = "desc"
-        } = options;
+    get_votes: {
+        name: "get_votes",
+        description: "Get votes for a specific proposal",
+        inputSchema: {
+            type: "object",
+            properties: {
+                proposal_id: {
+                    type: "string",
+                    description: "The proposal ID to get votes for"
+                },
+                first: {
+                    type: "number",
+                    description: "Number of votes to return (max 1000)",
+                    maximum: 1000,
+                    default: 100
+                },
+                skip: {
+                    type: "number",
+                    description: "Number of votes to skip for pagination",
+                    default: 0
+                },
+                order_by: {
+                    type: "string",
+                    enum: ["created", "vp"],
+                    description: "Field to order results by",
+                    default: "created"
+                },
+                order_direction: {
+                    type: "string",
+                    enum: ["asc", "desc"],
+                    description: "Order direction",
+                    default: "desc"
+                },
+                all: {
+                    type: "boolean",
+                    description: "Page through every vote instead of returning one page (first and skip are ignored)",
+                    default: false
+                },
+                max_items: {
+                    type: "number",
+                    description: "Page through votes until this many are collected"
+                }
+            },
+            required: ["proposal_id"]
+        },
+        handler: async (args, snapshotAPI, walletManager) => {
+            try {
+                const result = await snapshotAPI.getVotes(args.proposal_id, {
+                    first: Math.min(args.first || 100, 1000),
+                    skip: args.skip || 0,
+                    orderBy: args.order_by || "created",
+                    orderDirection: args.order_direction || "desc",
+                    all: args.all === true,
+                    maxItems: args.max_items || null
+                });
+
+                return {
+                    status: "success",
+                    data: result,
+                    proposal_id: args.proposal_id,
+                    query: args
+                };
+            } catch (error) {
+                return {
+                    status: "error",
+                    error: error.message,
+                    proposal_id: args.proposal_id,
+                    query: args
+                };
+            }
+        }
+    },
+
+    /**
+     * Analyze a proposal's tally and outcome
+     */
+    analyze_proposal: {
+        name: "analyze_proposal",
+        description: "Compute a proposal's results: per-choice totals and percentages, the leader and margin, quorum status, turnout compared with the space's previous proposals, and the largest voters. Handles every voting type, including ranked-choice rounds and quadratic scoring",
+        inputSchema: {
+            type: "object",
+            properties: {
+                proposal_id: {
+                    type: "string",
+                    description: "The proposal ID to analyze"
+                },
+                compare_with: {
+                    type: "number",
+                    description: "Number of previous closed proposals in the space to compare turnout with (max 100)",
+                    maximum: 100,
+                    default: 10
+                },
+                top_voters: {
+                    type: "number",
+                    description: "Number of largest voters to list (max 100)",
+                    maximum: 100,
+                    default: 10
+                },
+                max_votes: {
+                    type: "number",
+                    description: "Most votes to fetch for the tally. With more votes than this, results fall back to the hub's scores",
+                    default: 5000
+                }
+            },
+            required: ["proposal_id"]
+        },
+        handler: async (args, snapshotAPI, walletManager) => {
+            try {
+                const analysis = await analyzeProposal(snapshotAPI, args.proposal_id, {
+                    compareWith: Math.min(args.compare_with || 10, 100),
+                    topVoters: Math.min(args.top_voters || 10, 100),
+                    maxVotes: args.max_votes || 5000
+                });
+                return {
+                    status: "success",
+                    data: analysis
+                };
+            } catch (error) {
+                return {
+                    status: "error",
+                    error: error.message
+                };
+            }
+        }
+    },
+
+    /**
+     * Get an address's voting power in a space
+     */
+    get_voting_power: {
+        name: "get_voting_power",
+        description: "Get an address's voting power in a space, with a per-strategy breakdown, optionally at a proposal's snapshot block",
+        inputSchema: {
+            type: "object",
+            properties: {
+                space_id: {
+                    type: "string",
+                    description: "The space ID to compute voting power in"
+                },
+                address: {
+                    type: "string",
+                    description: "Ethereum address or ENS name of the voter"
+                },
+                reverse_ens: REVERSE_ENS_ARGUMENT,
+                proposal_id: {
+                    type: "string",
+                    description: "Optional proposal ID; voting power is computed at its snapshot block with its strategies. Defaults to the latest block with the space strategies"
+                }
+            },
+            required: ["space_id", "address"]
+        },
+        handler: async (args, snapshotAPI, walletManager) => {
+            try {
+                // Strategies label the vp_by_strategy entries, which follow the same order
+                let strategies;
+                let snapshotBlock = "latest";
+                if (args.proposal_id) {
+                    const { proposal } = await snapshotAPI.getProposal(args.proposal_id);
+                    if (!proposal) {
+                        throw new Error(`Proposal not found: ${args.proposal_id}`);
+                    }
+                    if (proposal.space?.id && proposal.space.id !== args.space_id) {
+                        throw new Error(`Proposal ${args.proposal_id} belongs to space ${proposal.space.id}, not ${args.space_id}`);
+                    }
+                    strategies = proposal.strategies;
+                    snapshotBlock = proposal.snapshot;
+                } else {
+                    const { space } = await snapshotAPI.getSpace(args.space_id);
+                    if (!space) {
+                        throw new Error(`Space not found: ${args.space_id}`);
+                    }
+                    strategies = space.strategies;
+                }
+
+                const { vp } = await snapshotAPI.getVotingPower(args.address, args.space_id, args.proposal_id || null);
+                const byStrategy = vp?.vp_by_strategy || [];
+
+                return {
+                    status: "success",
+                    data: {
+                        vp: vp?.vp || 0,
+                        vp_state: vp?.vp_state || null,
+                        snapshot: snapshotBlock,
+                        strategies: (strategies || []).map((strategy, index) => ({
+                            name: strategy.name,
+                            network: strategy.network || null,
+                            params: strategy.params,
+                            vp: byStrategy[index] || 0
+                        }))
+                    },
+                    space_id: args.space_id,
+                    address: args.address,
+                    query: args
+                };
+            } catch (error) {
+                return {
+                    status: "error",
+                    error: error.message,
+                    space_id: args.space_id,
+                    address: args.address,
+                    query: args
+                };
+            }
+        }
+    },
+
+    /**
+     * Get user profile and statistics
+     */
+    get_user_profile: {
+        name: "get_user_profile",
+        description: "Get user profile information and governance statistics",
+        inputSchema: {
+            type: "object",
+            properties: {
+                address: {
+                    type: "string",
+                    description: "Ethereum address or ENS name of the user"
+                },
+                reverse_ens: REVERSE_ENS_ARGUMENT
+            },
+            required: ["address"]
+        },
+        handler: async (args, snapshotAPI, walletManager) => {
+            try {
+                const result = await snapshotAPI.getUserProfile(args.address);
+                return {
+                    status: "success",
+                    data: result,
+                    address: args.address
+                };
+            } catch (error) {
+                return {
+                    status: "error",
+                    error: error.message,
+                    address: args.address
+                };
+            }
+        }
+    },
+
+    /**
+     * Get spaces that a user follows
+     */
+    get_user_follows: {
+        name: "get_user_follows",
+        description: "Get spaces that a user follows",
+        inputSchema: {
+            type: "object",
+            properties: {
+                address: {
+                    type: "string",
+                    description: "Ethereum address or ENS name of the user"
+                },
+                reverse_ens: REVERSE_ENS_ARGUMENT,
+                first: {
+                    type: "number",
+                    description: "Number of follows to return (max 100)",
+                    maximum: 100,
+                    default: 20
+                },
+                skip: {
+                    type: "number",
+                    description: "Number of follows to skip for pagination",
+                    default: 0
+                }
+            },
+            required: ["address"]
+        },
+        handler: async (args, snapshotAPI, walletManager) => {
+            try {
+                const result = await snapshotAPI.getUserFollows(args.address, {
+                    first: Math.min(args.first || 20, 100),
+                    skip: args.skip || 0
+                });
+
+                return {
+                    status: "success",
+                    data: result,
+                    address: args.address,
+                    query: args
+                };
+            } catch (error) {
+                return {
+                    status: "error",
+                    error: error.message,
+                    address: args.address,
+                    query: args
+                };
+            }
+        }
+    },
+
+    /**
+     * Get an address's voting history and scorecard
+     */
+    get_voter_history: {
+        name: "get_voter_history",
+        description: "List an address's votes across spaces or within one space, with each choice's label, the voting power used and whether the vote sided with the winning outcome. Also reports how often the address votes with the winner and its participation rate on proposals it was eligible for, to score delegates",
+        inputSchema: {
+            type: "object",
+            properties: {
+                address: {
+                    type: "string",
+                    description: "Ethereum address or ENS name of the voter"
+                },
+                reverse_ens: REVERSE_ENS_ARGUMENT,
+                space: {
+                    type: "string",
+                    description: "Limit the history to a single space"
+                },
+                max_votes: {
+                    type: "number",
+                    description: "Most recent votes to list",
+                    default: 1000
+                },
+                participation_window: {
+                    type: "number",
+                    description: "Latest closed proposals per space to measure participation against (max 100). Without a space, the 5 spaces the address votes in most are measured",
+                    maximum: 100,
+                    default: 10
+                }
+            },
+            required: ["address"]
+        },
+        handler: async (args, snapshotAPI, walletManager) => {
+            try {
+                const history = await voterHistory(snapshotAPI, args.address, {
+                    space: args.space || null,
+                    maxVotes: args.max_votes || 1000,
+                    participationWindow: Math.min(args.participation_window || 10, 100)
+                });
+                return {
+                    status: "success",
+                    data: history
+                };
+            } catch (error) {
+                return {
+                    status: "error",
+                    error: error.message,
+                    address: args.address
+                };
+            }
+        }
+    },
+
+    /**
+     * Get delegations to and from an address
+     */
+    get_delegations: {
+        name: "get_delegations",
+        description: "List who an address delegates its voting power to and who delegates to it, for one space or across all spaces. With a space, also reports the voting power delegated to the address",
+        inputSchema: {
+            type: "object",
+            properties: {
+                address: {
+                    type: "string",
+                    description: "Ethereum address or ENS name to look up"
+                },
+                reverse_ens: REVERSE_ENS_ARGUMENT,
+                space_id: {
+                    type: "string",
+                    description: "Only include delegations for this space (and delegations for all spaces, which apply to it too)"
+                },
+                chain_id: {
+                    type: "string",
+                    description: "Chain ID of the delegate registry to read. Defaults to the space's network, or 1 without a space"
+                }
+            },
+            required: ["address"]
+        },
+        handler: async (args, snapshotAPI, walletManager) => {
+            try {
+                const address = args.address.toLowerCase();
+                const chainId = await resolveDelegationChain(snapshotAPI, args.space_id, args.chain_id);
+                const spaceFilter = args.space_id || null;
+
+                let space = null;
+                if (spaceFilter) {
+                    ({ space } = await snapshotAPI.getSpace(spaceFilter));
+                    if (!space) {
+                        throw new Error(`Space not found: ${spaceFilter}`);
+                    }
+                }
+
+                const [{ delegations: outgoing }, { delegations: incoming }] = await Promise.all([
+                    snapshotAPI.getDelegations(chainId, { delegator: address, space: spaceFilter }),
+                    snapshotAPI.getDelegations(chainId, { delegate: address, space: spaceFilter })
+                ]);
+
+                // An empty space means the delegation covers every space
+                const data = {
+                    address: args.address,
+                    chain_id: chainId,
+                    space_id: spaceFilter,
+                    delegates_to: outgoing.map(delegation => ({
+                        space: delegation.space || null,
+                        delegate: delegation.delegate,
+                        timestamp: delegation.timestamp
+                    })),
+                    delegated_from: incoming.map(delegation => ({
+                        space: delegation.space || null,
+                        delegator: delegation.delegator,
+                        timestamp: delegation.timestamp
+                    }))
+                };
+
+                if (spaceFilter) {
+                    // A space-specific delegation takes precedence over one for all spaces
+                    const effective = outgoing.find(delegation => delegation.space) || outgoing.find(delegation => !delegation.space);
+                    data.effective_delegate = effective?.delegate || null;
+
+                    const globalDelegators = incoming.filter(delegation => !delegation.space).map(delegation => delegation.delegator);
+                    let overridden = new Set();
+                    if (globalDelegators.length > 0) {
+                        const { delegations: specific } = await snapshotAPI.getDelegations(chainId, { delegators: globalDelegators, space: spaceFilter });
+                        overridden = new Set(specific
+                            .filter(delegation => delegation.space && delegation.delegate.toLowerCase() !== address)
+                            .map(delegation => delegation.delegator.toLowerCase()));
+                    }
+                    const delegators = [...new Set(incoming
+                        .filter(delegation => delegation.space || !overridden.has(delegation.delegator.toLowerCase()))
+                        .map(delegation => delegation.delegator.toLowerCase()))];
+
+                    try {
+                        // Delegation strategies would add power delegated to the delegators themselves
+                        const strategies = space.strategies.filter(strategy => !strategy.name.includes('delegation'));
+                        const scores = delegators.length > 0
+                            ? await snapshot.utils.getScores(space.id, strategies, space.network, delegators)
+                            : [];
+                        const powerOf = (delegator) => scores.reduce((sum, strategyScores) => sum + (Object.entries(strategyScores)
+                            .find(([scoreAddress]) => scoreAddress.toLowerCase() === delegator)?.[1] || 0), 0);
+                        const byDelegator = delegators
+                            .map(delegator => ({ delegator, vp: powerOf(delegator) }))
+                            .sort((a, b) => b.vp - a.vp);
+                        data.delegated_voting_power = {
+                            total: byDelegator.reduce((sum, entry) => sum + entry.vp, 0),
+                            delegators: byDelegator
+                        };
+                    } catch (error) {
+                        data.delegated_voting_power = null;
+                        data.warning = `Could not compute delegated voting power: ${error.message || JSON.stringify(error)}`;
+                    }
+
+                    const { vp } = await snapshotAPI.getVotingPower(address, spaceFilter);
+                    data.voting_power = vp?.vp ?? 0;
+                }
+
+                return {
+                    status: "success",
+                    data
+                };
+            } catch (error) {
+                return {
+                    status: "error",
+                    error: error.message || JSON.stringify(error)
+                };
+            }
+        }
+    },
+
+    /**
+     * Delegate voting power
+     */
+    set_delegation: {
+        name: "set_delegation",
+        description: "Delegate the wallet's voting power for a space, or for all spaces, to another address through the delegate registry. This is an on-chain transaction and costs gas",
+        scope: SCOPE_WRITE,
+        inputSchema: {
+            type: "object",
+            properties: {
+                delegate: {
+                    type: "string",
+                    description: "Address or ENS name to delegate to"
+                },
+                reverse_ens: REVERSE_ENS_ARGUMENT,
+                space_id: {
+                    type: "string",
+                    description: "Space to delegate for. Omit to delegate for all spaces"
+                },
+                chain_id: {
+                    type: "string",
+                    description: "Chain ID of the delegate registry. Defaults to the space's network, or 1 without a space"
+                },
+                dry_run: {
+                    type: "boolean",
+                    description: "Check the delegation and return the transaction without sending it",
+                    default: false
+                }
+            },
+            required: ["delegate"]
+        },
+        handler: async (args, snapshotAPI, walletManager) => {
+            try {
+                const address = walletManager.getAddress();
+                const chainId = await resolveDelegationChain(snapshotAPI, args.space_id, args.chain_id);
+                const validation = new ValidationReport();
+                await checkDelegationChange(chainId, args.space_id, address, args.delegate, validation);
 
-        const query = `
-            query GetVotes(
-                $proposal: String!
-                $first: Int!
-                $skip: Int!
-                $orderBy: String!
-                $orderDirection: OrderDirection!
-            ) {
-                votes(
-                    where: { proposal: $proposal }
-                    first: $first
-                    skip: $skip
-                    orderBy: $orderBy
-                    orderDirection: $orderDirection
-                ) {
-                    id
-                    voter
-                    choice
-                    vp
-                    vp_by_strategy
-                    created
-                    proposal {
-                        id
-                        choices
-                    }
-                    space {
-                        id
-                    }
-                    reason
-                    app
+                const result = await walletManager.setDelegation(args.space_id, args.delegate, chainId, { dryRun: args.dry_run === true, validation });
+
+                if (args.dry_run) {
+                    return dryRunResponse(result, "Gas and nonce are set when the transaction is actually sent.");
                 }
-            }
-        `;
 
-        return await this.query(query, {
-            proposal: proposalId,
-            first,
-            skip,
-            orderBy,
-            orderDirection
-        });
-    }
+                snapshotAPI.invalidate(`delegations:${address.toLowerCase()}`, `delegations:${args.delegate.toLowerCase()}`);
+
+                return {
+                    status: "success",
+                    data: {
+                        transaction: result,
+                        message: `Delegation transaction sent: ${args.space_id || 'all spaces'} delegated to ${args.delegate}. The delegation subgraph shows it once the transaction is indexed.`
+                    }
+                };
+            } catch (error) {
+                return {
+                    status: "error",
+                    error: error.message
+                };
+            }
+        }
+    },
 
     /**
-     * Get user profile information
+     * Remove a delegation
      */
-    async getUserProfile(address) {
-        const query = `
-            query GetUser($id: String!) {
-                user(id: $id) {
-                    id
-                    name
-                    about
-                    avatar
-                    created
-                    votesCount
-                    proposalsCount
+    clear_delegation: {
+        name: "clear_delegation",
+        description: "Remove the wallet's delegation for a space, or its delegation for all spaces, from the delegate registry. This is an on-chain transaction and costs gas",
+        scope: SCOPE_WRITE,
+        inputSchema: {
+            type: "object",
+            properties: {
+                space_id: {
+                    type: "string",
+                    description: "Space to stop delegating for. Omit to clear the delegation for all spaces"
+                },
+                chain_id: {
+                    type: "string",
+                    description: "Chain ID of the delegate registry. Defaults to the space's network, or 1 without a space"
+                },
+                dry_run: {
+                    type: "boolean",
+                    description: "Check the change and return the transaction without sending it",
+                    default: false
                 }
-            }
-        `;
+            },
+            required: []
+        },
+        handler: async (args, snapshotAPI, walletManager) => {
+            try {
+                const address = walletManager.getAddress();
+                const chainId = await resolveDelegationChain(snapshotAPI, args.space_id, args.chain_id);
+                const validation = new ValidationReport();
+                const current = await checkDelegationChange(chainId, args.space_id, address, null, validation);
 
-        return await this.query(query, { id: address.toLowerCase() });
-    }
+                const result = await walletManager.clearDelegation(args.space_id, chainId, { dryRun: args.dry_run === true, validation });
 
-    /**
-     * Get spaces that a user follows
-     */
-    async getUserFollows(address, options = {}) {
-        const {
-            first = 20,
-            skip = 0
-        } = options;
+                if (args.dry_run) {
+                    return dryRunResponse(result, "Gas and nonce are set when the transaction is actually sent.");
+                }
 
-        const query = `
-            query GetUserFollows(
-                $follower: String!
-                $first: Int!
-                $skip: Int!
-            ) {
-                follows(
-                    where: { follower: $follower }
-                    first: $first
-                    skip: $skip
-                ) {
-                    id
-                    follower
-                    space {
-                        id
-                        name
-                        about
-                        avatar
-                        followersCount
+                snapshotAPI.invalidate(`delegations:${address.toLowerCase()}`, `delegations:${current.toLowerCase()}`);
+
+                return {
+                    status: "success",
+                    data: {
+                        transaction: result,
+                        message: `Delegation transaction sent: ${args.space_id || 'all spaces'} no longer delegated to ${current}. The delegation subgraph shows it once the transaction is indexed.`
                     }
-                    created
-                }
+                };
+            } catch (error) {
+                return {
+                    status: "error",
+                    error: error.message
+                };
             }
-        `;
-
-        return await this.query(query, {
-            follower: address.toLowerCase(),
-            first,
-            skip
-        });
-    }
-}
+        }
+    },
 
-/**
- * MCP Tool implementations for Snapshot functionality
- */
-const tools = {
     /**
-     * Get information about a Snapshot space
+     * Create a new wallet
      */
-    get_space: {
-        name: "get_space",
-        description: "Get detailed information about a Snapshot space (DAO/community)",
+    create_wallet: {
+        name: "create_wallet",
+        description: "Create a new random wallet for Snapshot operations, optionally saving it as an encrypted keystore profile",
+        scope: SCOPE_WRITE,
         inputSchema: {
             type: "object",
             properties: {
-                space_id: {
+                profile: {
                     type: "string",
-                    description: "The space ID (usually an ENS name like 'uniswap.eth' or 'aave.eth')"
+                    description: "Optional profile name to save the wallet under in the encrypted keystore"
                 }
             },
-            required: ["space_id"]
+            required: []
         },
         handler: async (args, snapshotAPI, walletManager) => {
             try {
-                const result = await snapshotAPI.getSpace(args.space_id);
+                const wallet = await walletManager.createWallet({ profile: args.profile });
                 return {
                     status: "success",
-                    data: result,
-                    space_id: args.space_id
+                    data: {
+                        address: wallet.address,
+                        mnemonic: wallet.mnemonic,
+                        profile: args.profile || null,
+                        message: args.profile
+                            ? `Wallet created and saved to profile "${args.profile}". Save your mnemonic phrase securely!`
+                            : "Wallet created successfully. Save your mnemonic phrase securely!"
+                    }
                 };
             } catch (error) {
                 return {
                     status: "error",
-                    error: error.message,
-                    space_id: args.space_id
+                    error: error.message
                 };
             }
         }
     },
 
     /**
-     * Search and list Snapshot spaces
+     * Import wallet from private key
      */
-    list_spaces: {
-        name: "list_spaces",
-        description: "List and search Snapshot spaces with filtering options",
+    import_wallet: {
+        name: "import_wallet",
+        description: "Import a wallet using a private key",
+        scope: SCOPE_WRITE,
         inputSchema: {
             type: "object",
             properties: {
-                first: {
-                    type: "number",
-                    description: "Number of spaces to return (max 100)",
-                    default: 20
-                },
-                skip: {
-                    type: "number",
-                    description: "Number of spaces to skip for pagination",
-                    default: 0
-                },
-                search: {
+                private_key: {
                     type: "string",
-                    description: "Search term to filter spaces by name or ID"
+                    description: "The private key to import (with or without 0x prefix)"
                 },
-                category: {
+                profile: {
                     type: "string",
-                    description: "Filter by category"
+                    description: "Optional profile name to save the wallet under in the encrypted keystore"
                 },
-                order_by: {
+                overwrite: {
+                    type: "boolean",
+                    description: "Replace an existing profile with the same name",
+                    default: false
+                }
+            },
+            required: ["private_key"]
+        },
+        handler: async (args, snapshotAPI, walletManager) => {
+            try {
+                const wallet = await walletManager.importWallet(args.private_key, {
+                    profile: args.profile,
+                    overwrite: args.overwrite === true
+                });
+                return {
+                    status: "success",
+                    data: {
+                        address: wallet.address,
+                        profile: args.profile || null,
+                        message: args.profile
+                            ? `Wallet imported and saved to profile "${args.profile}"!`
+                            : "Wallet imported successfully!"
+                    }
+                };
+            } catch (error) {
+                return {
+                    status: "error",
+                    error: error.message
+                };
+            }
+        }
+    },
+
+    /**
+     * List encrypted wallet profiles
+     */
+    list_wallet_profiles: {
+        name: "list_wallet_profiles",
+        description: "List wallet profiles stored in the encrypted keystore",
+        scope: SCOPE_WRITE,
+        inputSchema: {
+            type: "object",
+            properties: {},
+            required: []
+        },
+        handler: async (args, snapshotAPI, walletManager) => {
+            try {
+                const profiles = await walletManager.listProfiles();
+                return {
+                    status: "success",
+                    data: {
+                        profiles: profiles,
+                        active_profile: walletManager.profile
+                    }
+                };
+            } catch (error) {
+                return {
+                    status: "error",
+                    error: error.message
+                };
+            }
+        }
+    },
+
+    /**
+     * Select an encrypted wallet profile
+     */
+    select_wallet_profile: {
+        name: "select_wallet_profile",
+        description: "Unlock a wallet profile from the encrypted keystore and use it for this session",
+        scope: SCOPE_WRITE,
+        inputSchema: {
+            type: "object",
+            properties: {
+                name: {
                     type: "string",
-                    enum: ["created", "updated", "followersCount", "proposalsCount"],
-                    description: "Field to order results by",
-                    default: "created"
-                },
-                order_direction: {
+                    description: "The profile name to select"
+                }
+            },
+            required: ["name"]
+        },
+        handler: async (args, snapshotAPI, walletManager) => {
+            try {
+                const profile = await walletManager.selectProfile(args.name);
+                return {
+                    status: "success",
+                    data: {
+                        profile: profile.name,
+                        address: profile.address,
+                        message: `Wallet profile "${profile.name}" selected`
+                    }
+                };
+            } catch (error) {
+                return {
+                    status: "error",
+                    error: error.message
+                };
+            }
+        }
+    },
+
+    /**
+     * Remove an encrypted wallet profile
+     */
+    remove_wallet_profile: {
+        name: "remove_wallet_profile",
+        description: "Permanently delete a wallet profile from the encrypted keystore",
+        scope: SCOPE_WRITE,
+        inputSchema: {
+            type: "object",
+            properties: {
+                name: {
+                    type: "string",
+                    description: "The profile name to remove"
+                }
+            },
+            required: ["name"]
+        },
+        handler: async (args, snapshotAPI, walletManager) => {
+            try {
+                await walletManager.removeProfile(args.name);
+                return {
+                    status: "success",
+                    data: {
+                        profile: args.name,
+                        message: `Wallet profile "${args.name}" removed`
+                    }
+                };
+            } catch (error) {
+                return {
+                    status: "error",
+                    error: error.message
+                };
+            }
+        }
+    },
+
+    /**
+     * List the configured hub networks
+     */
+    list_networks: {
+        name: "list_networks",
+        description: "List the Snapshot hub networks (mainnet, testnet, custom) and which one this session uses",
+        inputSchema: {
+            type: "object",
+            properties: {},
+            required: []
+        },
+        handler: async (args, snapshotAPI, walletManager) => {
+            return {
+                status: "success",
+                data: {
+                    active: walletManager.network,
+                    networks: Object.keys(HUB_NETWORKS).map(describeHubNetwork)
+                }
+            };
+        }
+    },
+
+    /**
+     * Select the hub network for this session
+     */
+    select_network: {
+        name: "select_network",
+        description: "Switch this session to another Snapshot hub network. All later reads and signed actions go to that hub unless a call passes its own network",
+        inputSchema: {
+            type: "object",
+            properties: {
+                network: {
                     type: "string",
-                    enum: ["asc", "desc"],
-                    description: "Order direction",
-                    default: "desc"
+                    enum: ["mainnet", "testnet", "custom"],
+                    description: "Hub network to use; 'custom' requires SNAPSHOT_CUSTOM_HUB_URL"
                 }
-            }
+            },
+            required: ["network"]
         },
         handler: async (args, snapshotAPI, walletManager) => {
             try {
-                const where = {};
-                
-                if (args.search) {
-                    where.id_contains = args.search.toLowerCase();
-                }
-                
-                if (args.category) {
-                    where.categories_contains = [args.category];
-                }
-
-                const result = await snapshotAPI.getSpaces({
-                    first: Math.min(args.first || 20, 100),
-                    skip: args.skip || 0,
-                    orderBy: args.order_by || "created",
-                    orderDirection: args.order_direction || "desc",
-                    where
-                });
-
+                const config = walletManager.selectNetwork(args.network);
                 return {
                     status: "success",
-                    data: result,
-                    query: args
+                    data: {
+                        ...config,
+                        message: `Session now uses the ${args.network} hub: ${config.hub}`
+                    }
                 };
             } catch (error) {
                 return {
                     status: "error",
-                    error: error.message,
-                    query: args
+                    error: error.message
                 };
             }
         }
     },
 
     /**
-     * Get detailed information about a proposal
+     * Get current wallet address
      */
-    get_proposal: {
-        name: "get_proposal",
-        description: "Get detailed information about a specific Snapshot proposal",
+    get_wallet_address: {
+        name: "get_wallet_address",
+        description: "Get the address of the currently configured wallet",
         inputSchema: {
             type: "object",
-            properties: {
-                proposal_id: {
-                    type: "string",
-                    description: "The proposal ID (IPFS hash or hex string)"
-                }
-            },
-            required: ["proposal_id"]
+            properties: {},
+            required: []
         },
         handler: async (args, snapshotAPI, walletManager) => {
             try {
-                const result = await snapshotAPI.getProposal(args.proposal_id);
+                const address = walletManager.getAddress();
                 return {
                     status: "success",
-                    data: result,
-                    proposal_id: args.proposal_id
+                    data: {
+                        address: address,
+                        profile: walletManager.profile,
+                        message: "Current wallet address retrieved"
+                    }
                 };
             } catch (error) {
                 return {
                     status: "error",
-                    error: error.message,
-                    proposal_id: args.proposal_id
+                    error: error.message
                 };
             }
         }
     },
 
     /**
-     * List proposals with filtering
+     * Create a proposal
      */
-    list_proposals: {
-        name: "list_proposals",
-        description: "List and search proposals with filtering options",
+    create_proposal: {
+        name: "create_proposal",
+        description: "Create a new proposal in a Snapshot space",
+        scope: SCOPE_WRITE,
         inputSchema: {
             type: "object",
             properties: {
-                space: {
+                space_id: {
                     type: "string",
-                    description: "Filter by space ID"
+                    description: "The space ID where to create the proposal"
                 },
-                state: {
+                title: {
                     type: "string",
-                    enum: ["pending", "active", "closed"],
-                    description: "Filter by proposal state"
+                    description: "The proposal title"
                 },
-                author: {
+                body: {
+                    type: "string",
+                    description: "The proposal description/body"
+                },
+                choices: {
+                    type: "array",
+                    items: { type: "string" },
+                    description: "Array of voting choices"
+                },
+                type: {
                     type: "string",
-                    description: "Filter by proposal author address"
+                    enum: ["single-choice", "approval", "quadratic", "ranked-choice", "weighted", "basic"],
+                    description: "Voting type. Replaced by the space's voting type if the space sets one",
+                    default: "single-choice"
                 },
-                first: {
+                start: {
                     type: "number",
-                    description: "Number of proposals to return (max 100)",
-                    default: 20
+                    description: "Start timestamp (Unix epoch). Defaults to now plus the space's voting delay"
                 },
-                skip: {
+                end: {
                     type: "number",
-                    description: "Number of proposals to skip for pagination",
-                    default: 0
+                    description: "End timestamp (Unix epoch). Defaults to start plus the space's voting period, or 7 days"
                 },
-                order_by: {
+                snapshot: {
                     type: "string",
-                    enum: ["created", "updated", "start", "end", "votes"],
-                    description: "Field to order results by",
-                    default: "created"
+                    description: "Block number for snapshot. Defaults to 'latest', the current block on the space's network"
                 },
-                order_direction: {
+                discussion: {
                     type: "string",
-                    enum: ["asc", "desc"],
-                    description: "Order direction",
-                    default: "desc"
-                }
-            }
+                    description: "Link to the discussion thread (http(s) URL)"
+                },
+                labels: {
+                    type: "array",
+                    items: { type: "string" },
+                    description: "IDs of labels defined by the space (at most 10)"
+                },
+                privacy: {
+                    type: "string",
+                    enum: ["", "shutter"],
+                    description: "'shutter' keeps votes encrypted until voting ends. Replaced by the space's privacy setting if it enforces one"
+                },
+                plugins: {
+                    type: "object",
+                    description: "Plugin configuration keyed by plugin name, e.g. { \"safeSnap\": { ... } }"
+                },
+                app: {
+                    type: "string",
+                    description: "App name recorded with the proposal (max 24 characters)",
+                    maxLength: 24,
+                    default: "snapshot-mcp"
+                },
+                dry_run: {
+                    type: "boolean",
+                    description: "Build and return the EIP-712 payload, validation results and signer without signing or sending anything",
+                    default: false
+                },
+                network: NETWORK_ARGUMENT
+            },
+            required: ["space_id", "title", "body", "choices"]
         },
         handler: async (args, snapshotAPI, walletManager) => {
             try {
-                const where = {};
-                
-                if (args.space) {
-                    where.space = args.space;
-                }
-                
-                if (args.state) {
-                    where.state = args.state;
-                }
-                
-                if (args.author) {
-                    where.author = args.author.toLowerCase();
+                const validation = new ValidationReport();
+                const space = await checkProposalEligibility(snapshotAPI, args.space_id, walletManager.getAddress(), validation);
+
+                const result = await walletManager.createProposal(args.space_id, {
+                    title: args.title,
+                    body: args.body,
+                    choices: args.choices,
+                    type: args.type,
+                    start: args.start,
+                    end: args.end,
+                    snapshot: args.snapshot,
+                    discussion: args.discussion,
+                    labels: args.labels,
+                    privacy: args.privacy,
+                    plugins: args.plugins,
+                    app: args.app
+                }, { dryRun: args.dry_run === true, validation, network: snapshotAPI.network, space });
+
+                if (args.dry_run) {
+                    return dryRunResponse(result);
                 }
 
-                const result = await snapshotAPI.getProposals({
-                    first: Math.min(args.first || 20, 100),
-                    skip: args.skip || 0,
-                    orderBy: args.order_by || "created",
-                    orderDirection: args.order_direction || "desc",
-                    where
-                });
+                // The space's proposal count and proposal lists are now stale
+                snapshotAPI.invalidate(`space:${args.space_id}`, 'proposals');
 
                 return {
                     status: "success",
-                    data: result,
-                    query: args
+                    data: {
+                        receipt: result,
+                        message: "Proposal created successfully!"
+                    }
                 };
             } catch (error) {
                 return {
                     status: "error",
-                    error: error.message,
-                    query: args
+                    error: error.message
                 };
             }
         }
     },
 
     /**
-     * Get votes for a proposal
+     * Update a pending proposal
      */
-    get_votes: {
-        name: "get_votes",
-        description: "Get votes for a specific proposal",
+    update_proposal: {
+        name: "update_proposal",
+        description: "Edit a proposal before voting starts (author only). Fields left out keep their current values",
+        scope: SCOPE_WRITE,
         inputSchema: {
             type: "object",
             properties: {
                 proposal_id: {
                     type: "string",
-                    description: "The proposal ID to get votes for"
+                    description: "The proposal ID to update"
                 },
-                first: {
-                    type: "number",
-                    description: "Number of votes to return (max 1000)",
-                    default: 100
+                space_id: {
+                    type: "string",
+                    description: "The proposal's space ID. Defaults to the space the proposal belongs to"
                 },
-                skip: {
-                    type: "number",
-                    description: "Number of votes to skip for pagination",
-                    default: 0
+                title: {
+                    type: "string",
+                    description: "New proposal title"
                 },
-                order_by: {
+                body: {
                     type: "string",
-                    enum: ["created", "vp"],
-                    description: "Field to order results by",
-                    default: "created"
+                    description: "New proposal description/body"
                 },
-                order_direction: {
+                choices: {
+                    type: "array",
+                    items: { type: "string" },
+                    description: "New voting choices"
+                },
+                type: {
                     type: "string",
-                    enum: ["asc", "desc"],
-                    description: "Order direction",
-                    default: "desc"
-                }
+                    enum: ["single-choice", "approval", "quadratic", "ranked-choice", "weighted", "basic"],
+                    description: "New voting type. Replaced by the space's voting type if the space sets one"
+                },
+                discussion: {
+                    type: "string",
+                    description: "New discussion link (http(s) URL)"
+                },
+                labels: {
+                    type: "array",
+                    items: { type: "string" },
+                    description: "New label IDs, replacing the current ones"
+                },
+                privacy: {
+                    type: "string",
+                    enum: ["", "shutter"],
+                    description: "New privacy setting. Replaced by the space's privacy setting if it enforces one"
+                },
+                plugins: {
+                    type: "object",
+                    description: "New plugin configuration keyed by plugin name"
+                },
+                dry_run: {
+                    type: "boolean",
+                    description: "Build and return the EIP-712 payload, validation results and signer without signing or sending anything",
+                    default: false
+                },
+                network: NETWORK_ARGUMENT
             },
             required: ["proposal_id"]
         },
         handler: async (args, snapshotAPI, walletManager) => {
             try {
-                const result = await snapshotAPI.getVotes(args.proposal_id, {
-                    first: Math.min(args.first || 100, 1000),
-                    skip: args.skip || 0,
-                    orderBy: args.order_by || "created",
-                    orderDirection: args.order_direction || "desc"
-                });
+                const validation = new ValidationReport();
+                const { proposal, space } = await checkProposalManagement(
+                    snapshotAPI,
+                    'update',
+                    args.proposal_id,
+                    walletManager.getAddress(),
+                    validation,
+                    args.space_id
+                );
+                const spaceId = args.space_id || proposal?.space?.id;
 
-                return {
-                    status: "success",
-                    data: result,
-                    proposal_id: args.proposal_id,
-                    query: args
-                };
-            } catch (error) {
-                return {
-                    status: "error",
-                    error: error.message,
-                    proposal_id: args.proposal_id,
-                    query: args
-                };
-            }
-        }
-    },
+                // The hub replaces the whole proposal, so start from its current content
+                const result = await walletManager.updateProposal(spaceId, args.proposal_id, {
+                    title: args.title ?? proposal?.title,
+                    body: args.body ?? proposal?.body,
+                    choices: args.choices ?? proposal?.choices,
+                    type: args.type ?? proposal?.type,
+                    discussion: args.discussion ?? proposal?.discussion,
+                    labels: args.labels ?? proposal?.labels,
+                    privacy: args.privacy ?? proposal?.privacy,
+                    plugins: args.plugins ?? proposal?.plugins
+                }, { dryRun: args.dry_run === true, validation, network: snapshotAPI.network, space, proposal });
 
-    /**
-     * Get user profile and statistics
-     */
-    get_user_profile: {
-        name: "get_user_profile",
-        description: "Get user profile information and governance statistics",
-        inputSchema: {
-            type: "object",
-            properties: {
-                address: {
-                    type: "string",
-                    description: "Ethereum address or ENS name of the user"
+                if (args.dry_run) {
+                    return dryRunResponse(result);
                 }
-            },
-            required: ["address"]
-        },
-        handler: async (args, snapshotAPI, walletManager) => {
-            try {
-                const result = await snapshotAPI.getUserProfile(args.address);
+
+                snapshotAPI.invalidate(`proposal:${args.proposal_id}`, 'proposals');
+
                 return {
                     status: "success",
-                    data: result,
-                    address: args.address
+                    data: {
+                        receipt: result,
+                        message: `Proposal updated: ${args.proposal_id}`
+                    }
                 };
             } catch (error) {
                 return {
                     status: "error",
-                    error: error.message,
-                    address: args.address
+                    error: error.message
                 };
             }
         }
     },
 
     /**
-     * Get spaces that a user follows
+     * Delete a proposal
      */
-    get_user_follows: {
-        name: "get_user_follows",
-        description: "Get spaces that a user follows",
+    delete_proposal: {
+        name: "delete_proposal",
+        description: "Delete a proposal. Allowed for the proposal author and for space admins and moderators",
+        scope: SCOPE_WRITE,
         inputSchema: {
             type: "object",
             properties: {
-                address: {
+                proposal_id: {
+                    type: "string",
+                    description: "The proposal ID to delete"
+                },
+                space_id: {
                     type: "string",
-                    description: "Ethereum address or ENS name of the user"
+                    description: "The proposal's space ID. Defaults to the space the proposal belongs to"
                 },
-                first: {
-                    type: "number",
-                    description: "Number of follows to return",
-                    default: 20
+                dry_run: {
+                    type: "boolean",
+                    description: "Build and return the EIP-712 payload, validation results and signer without signing or sending anything",
+                    default: false
                 },
-                skip: {
-                    type: "number",
-                    description: "Number of follows to skip for pagination",
-                    default: 0
-                }
+                network: NETWORK_ARGUMENT
             },
-            required: ["address"]
+            required: ["proposal_id"]
         },
         handler: async (args, snapshotAPI, walletManager) => {
             try {
-                const result = await snapshotAPI.getUserFollows(args.address, {
-                    first: Math.min(args.first || 20, 100),
-                    skip: args.skip || 0
-                });
+                const validation = new ValidationReport();
+                const { proposal } = await checkProposalManagement(
+                    snapshotAPI,
+                    'delete',
+                    args.proposal_id,
+                    walletManager.getAddress(),
+                    validation,
+                    args.space_id
+                );
+                const spaceId = args.space_id || proposal?.space?.id;
+
+                const result = await walletManager.deleteProposal(spaceId, args.proposal_id, { dryRun: args.dry_run === true, validation, network: snapshotAPI.network });
+
+                if (args.dry_run) {
+                    return dryRunResponse(result);
+                }
+
+                // The space's proposal count and proposal lists are now stale
+                snapshotAPI.invalidate(`proposal:${args.proposal_id}`, `space:${spaceId}`, 'proposals');
 
                 return {
                     status: "success",
-                    data: result,
-                    address: args.address,
-                    query: args
+                    data: {
+                        receipt: result,
+                        message: `Proposal deleted: ${args.proposal_id}`
+                    }
                 };
             } catch (error) {
                 return {
                     status: "error",
-                    error: error.message,
-                    address: args.address,
-                    query: args
+                    error: error.message
                 };
             }
         }
     },
 
     /**
-     * Create a new wallet
+     * Flag a proposal
      */
-    create_wallet: {
-        name: "create_wallet",
-        description: "Create a new random wallet for Snapshot operations",
+    flag_proposal: {
+        name: "flag_proposal",
+        description: "Flag a proposal as spam or abusive so the space hides it. Allowed for space admins and moderators",
+        scope: SCOPE_WRITE,
         inputSchema: {
             type: "object",
-            properties: {},
-            required: []
+            properties: {
+                proposal_id: {
+                    type: "string",
+                    description: "The proposal ID to flag"
+                },
+                space_id: {
+                    type: "string",
+                    description: "The proposal's space ID. Defaults to the space the proposal belongs to"
+                },
+                dry_run: {
+                    type: "boolean",
+                    description: "Build and return the EIP-712 payload, validation results and signer without signing or sending anything",
+                    default: false
+                },
+                network: NETWORK_ARGUMENT
+            },
+            required: ["proposal_id"]
         },
         handler: async (args, snapshotAPI, walletManager) => {
             try {
-                const wallet = walletManager.createWallet();
+                const validation = new ValidationReport();
+                const { proposal } = await checkProposalManagement(
+                    snapshotAPI,
+                    'flag',
+                    args.proposal_id,
+                    walletManager.getAddress(),
+                    validation,
+                    args.space_id
+                );
+                const spaceId = args.space_id || proposal?.space?.id;
+
+                const result = await walletManager.flagProposal(spaceId, args.proposal_id, { dryRun: args.dry_run === true, validation, network: snapshotAPI.network });
+
+                if (args.dry_run) {
+                    return dryRunResponse(result);
+                }
+
+                snapshotAPI.invalidate(`proposal:${args.proposal_id}`, 'proposals');
+
                 return {
                     status: "success",
                     data: {
-                        address: wallet.address,
-                        mnemonic: wallet.mnemonic,
-                        message: "Wallet created successfully. Save your mnemonic phrase securely!"
+                        receipt: result,
+                        message: `Proposal flagged: ${args.proposal_id}`
                     }
                 };
             } catch (error) {
@@ -1000,29 +4328,99 @@ const tools = {
     },
 
     /**
-     * Import wallet from private key
+     * Cast a vote on a proposal
      */
-    import_wallet: {
-        name: "import_wallet",
-        description: "Import a wallet using a private key",
+    cast_vote: {
+        name: "cast_vote",
+        description: "Cast a vote on a Snapshot proposal",
+        scope: SCOPE_WRITE,
         inputSchema: {
             type: "object",
             properties: {
-                private_key: {
+                space_id: {
                     type: "string",
-                    description: "The private key to import (with or without 0x prefix)"
-                }
+                    description: "The space ID containing the proposal"
+                },
+                proposal_id: {
+                    type: "string",
+                    description: "The proposal ID to vote on"
+                },
+                choice: {
+                    oneOf: [
+                        { type: "number" },
+                        { type: "array", items: { type: "number" } },
+                        { type: "object", additionalProperties: { type: "number" } }
+                    ],
+                    description: "The vote choice, shaped by the proposal's voting type (choices are 1-based): a number for single-choice and basic, an array of choices for approval, an ordered array ranking every choice for ranked-choice, or an object mapping choice numbers to weights for quadratic and weighted (e.g. {\"1\": 2, \"3\": 1})"
+                },
+                reason: {
+                    type: "string",
+                    description: "Optional reason for the vote",
+                    default: ""
+                },
+                dry_run: {
+                    type: "boolean",
+                    description: "Build and return the EIP-712 payload, validation results and signer without signing or sending anything",
+                    default: false
+                },
+                network: NETWORK_ARGUMENT
             },
-            required: ["private_key"]
+            required: ["space_id", "proposal_id", "choice"]
         },
         handler: async (args, snapshotAPI, walletManager) => {
             try {
-                const wallet = walletManager.importWallet(args.private_key);
+                const validation = new ValidationReport();
+                const proposal = await checkVoteEligibility(
+                    snapshotAPI,
+                    args.proposal_id,
+                    walletManager.getAddress(),
+                    validation,
+                    args.space_id
+                );
+                let type = 'single-choice';
+                let choice = args.choice;
+
+                if (proposal) {
+                    validation.check('proposal_privacy', proposal.privacy !== 'shutter', proposal.privacy !== 'shutter'
+                        ? 'Proposal votes are not encrypted'
+                        : 'Voting on shutter-encrypted proposals is not supported');
+
+                    type = proposal.type || 'single-choice';
+                    try {
+                        choice = normalizeVoteChoice(type, args.choice, proposal.choices);
+                        validation.check('choice', true, `Choice is valid for a ${type} proposal`);
+                    } catch (error) {
+                        validation.check('choice', false, error.message);
+                    }
+                }
+
+                if (!args.dry_run) {
+                    validation.assertValid();
+                }
+
+                const result = await walletManager.castVote(
+                    args.space_id,
+                    args.proposal_id,
+                    choice,
+                    args.reason || "",
+                    type,
+                    { dryRun: args.dry_run === true, validation, network: snapshotAPI.network }
+                );
+
+                if (args.dry_run) {
+                    return dryRunResponse(result);
+                }
+
+                const voter = walletManager.getAddress().toLowerCase();
+                snapshotAPI.invalidate(`proposal:${args.proposal_id}`, `votes:${args.proposal_id}`, `voter:${voter}`, `user:${voter}`);
+
                 return {
                     status: "success",
                     data: {
-                        address: wallet.address,
-                        message: "Wallet imported successfully!"
+                        receipt: result,
+                        type: type,
+                        choice: choice,
+                        message: "Vote cast successfully!"
                     }
                 };
             } catch (error) {
@@ -1035,24 +4433,67 @@ const tools = {
     },
 
     /**
-     * Get current wallet address
+     * Check whether an address can vote or propose
      */
-    get_wallet_address: {
-        name: "get_wallet_address",
-        description: "Get the address of the currently configured wallet",
+    check_eligibility: {
+        name: "check_eligibility",
+        description: "Check up front whether an address can vote on a proposal, create a proposal in a space, or update, delete or flag a proposal, and explain why not",
         inputSchema: {
             type: "object",
-            properties: {},
-            required: []
+            properties: {
+                action: {
+                    type: "string",
+                    enum: ["vote", "propose", "update", "delete", "flag"],
+                    description: "The action to check"
+                },
+                proposal_id: {
+                    type: "string",
+                    description: "The proposal to act on (required for 'vote', 'update', 'delete' and 'flag')"
+                },
+                space_id: {
+                    type: "string",
+                    description: "The space to propose in (required for 'propose')"
+                },
+                address: {
+                    type: "string",
+                    description: "Ethereum address or ENS name to check. Defaults to the configured wallet"
+                },
+                reverse_ens: REVERSE_ENS_ARGUMENT,
+                network: NETWORK_ARGUMENT
+            },
+            required: ["action"]
         },
         handler: async (args, snapshotAPI, walletManager) => {
             try {
-                const address = walletManager.getAddress();
+                const address = args.address || walletManager.getAddress();
+                const validation = new ValidationReport();
+
+                if (args.action === 'vote') {
+                    if (!args.proposal_id) {
+                        throw new Error("proposal_id is required to check voting eligibility");
+                    }
+                    await checkVoteEligibility(snapshotAPI, args.proposal_id, address, validation, args.space_id || null);
+                } else if (args.action === 'propose') {
+                    if (!args.space_id) {
+                        throw new Error("space_id is required to check proposal eligibility");
+                    }
+                    await checkProposalEligibility(snapshotAPI, args.space_id, address, validation);
+                } else if (['update', 'delete', 'flag'].includes(args.action)) {
+                    if (!args.proposal_id) {
+                        throw new Error(`proposal_id is required to check ${args.action} eligibility`);
+                    }
+                    await checkProposalManagement(snapshotAPI, args.action, args.proposal_id, address, validation, args.space_id || null);
+                } else {
+                    throw new Error(`Unknown action: ${args.action}`);
+                }
+
                 return {
                     status: "success",
                     data: {
+                        eligible: validation.valid,
+                        action: args.action,
                         address: address,
-                        message: "Current wallet address retrieved"
+                        checks: validation.checks
                     }
                 };
             } catch (error) {
@@ -1065,69 +4506,47 @@ const tools = {
     },
 
     /**
-     * Create a proposal
+     * Follow a space
      */
-    create_proposal: {
-        name: "create_proposal",
-        description: "Create a new proposal in a Snapshot space",
+    follow_space: {
+        name: "follow_space",
+        description: "Follow a Snapshot space",
+        scope: SCOPE_WRITE,
         inputSchema: {
             type: "object",
             properties: {
                 space_id: {
                     type: "string",
-                    description: "The space ID where to create the proposal"
-                },
-                title: {
-                    type: "string",
-                    description: "The proposal title"
-                },
-                body: {
-                    type: "string",
-                    description: "The proposal description/body"
-                },
-                choices: {
-                    type: "array",
-                    items: { type: "string" },
-                    description: "Array of voting choices"
-                },
-                type: {
-                    type: "string",
-                    enum: ["single-choice", "approval", "quadratic", "ranked-choice", "weighted", "basic"],
-                    description: "Voting type",
-                    default: "single-choice"
-                },
-                start: {
-                    type: "number",
-                    description: "Start timestamp (Unix epoch). Defaults to now"
+                    description: "The space ID to follow"
                 },
-                end: {
-                    type: "number",
-                    description: "End timestamp (Unix epoch). Defaults to 7 days from now"
+                dry_run: {
+                    type: "boolean",
+                    description: "Build and return the EIP-712 payload, validation results and signer without signing or sending anything",
+                    default: false
                 },
-                snapshot: {
-                    type: "string",
-                    description: "Block number for snapshot. Defaults to 'latest'"
-                }
+                network: NETWORK_ARGUMENT
             },
-            required: ["space_id", "title", "body", "choices"]
+            required: ["space_id"]
         },
         handler: async (args, snapshotAPI, walletManager) => {
             try {
-                const receipt = await walletManager.createProposal(args.space_id, {
-                    title: args.title,
-                    body: args.body,
-                    choices: args.choices,
-                    type: args.type,
-                    start: args.start,
-                    end: args.end,
-                    snapshot: args.snapshot
-                });
-                
+                const validation = new ValidationReport();
+                const { space } = await snapshotAPI.getSpace(args.space_id);
+                validation.check('space_exists', space, space ? `Space found: ${args.space_id}` : `Space not found: ${args.space_id}`);
+
+                const result = await walletManager.followSpace(args.space_id, { dryRun: args.dry_run === true, validation, network: snapshotAPI.network });
+
+                if (args.dry_run) {
+                    return dryRunResponse(result);
+                }
+
+                snapshotAPI.invalidate(`space:${args.space_id}`, `follows:${walletManager.getAddress().toLowerCase()}`);
+
                 return {
                     status: "success",
                     data: {
-                        receipt: receipt,
-                        message: "Proposal created successfully!"
+                        receipt: result,
+                        message: `Successfully followed space: ${args.space_id}`
                     }
                 };
             } catch (error) {
@@ -1140,48 +4559,47 @@ const tools = {
     },
 
     /**
-     * Cast a vote on a proposal
+     * Unfollow a space
      */
-    cast_vote: {
-        name: "cast_vote",
-        description: "Cast a vote on a Snapshot proposal",
+    unfollow_space: {
+        name: "unfollow_space",
+        description: "Unfollow a Snapshot space",
+        scope: SCOPE_WRITE,
         inputSchema: {
             type: "object",
             properties: {
                 space_id: {
                     type: "string",
-                    description: "The space ID containing the proposal"
-                },
-                proposal_id: {
-                    type: "string",
-                    description: "The proposal ID to vote on"
+                    description: "The space ID to unfollow"
                 },
-                choice: {
-                    type: "number",
-                    description: "The choice number (1-based index for single-choice voting)"
+                dry_run: {
+                    type: "boolean",
+                    description: "Build and return the EIP-712 payload, validation results and signer without signing or sending anything",
+                    default: false
                 },
-                reason: {
-                    type: "string",
-                    description: "Optional reason for the vote",
-                    default: ""
-                }
+                network: NETWORK_ARGUMENT
             },
-            required: ["space_id", "proposal_id", "choice"]
+            required: ["space_id"]
         },
         handler: async (args, snapshotAPI, walletManager) => {
             try {
-                const receipt = await walletManager.castVote(
-                    args.space_id,
-                    args.proposal_id,
-                    args.choice,
-                    args.reason || ""
-                );
-                
+                const validation = new ValidationReport();
+                const { space } = await snapshotAPI.getSpace(args.space_id);
+                validation.check('space_exists', space, space ? `Space found: ${args.space_id}` : `Space not found: ${args.space_id}`);
+
+                const result = await walletManager.unfollowSpace(args.space_id, { dryRun: args.dry_run === true, validation, network: snapshotAPI.network });
+
+                if (args.dry_run) {
+                    return dryRunResponse(result);
+                }
+
+                snapshotAPI.invalidate(`space:${args.space_id}`, `follows:${walletManager.getAddress().toLowerCase()}`);
+
                 return {
                     status: "success",
                     data: {
-                        receipt: receipt,
-                        message: "Vote cast successfully!"
+                        receipt: result,
+                        message: `Successfully unfollowed space: ${args.space_id}`
                     }
                 };
             } catch (error) {
@@ -1191,77 +4609,270 @@ const tools = {
                 };
             }
         }
+    }
+};
+
+/**
+ * MCP Resource templates for Snapshot entities
+ * Each template resolves a snapshot:// URI through SnapshotAPI
+ */
+const resourceTemplates = {
+    /**
+     * Space details
+     */
+    space: {
+        uriTemplate: "snapshot://space/{id}",
+        name: "Snapshot space",
+        description: "Detailed information about a Snapshot space (DAO/community), including strategies and voting settings",
+        mimeType: "application/json",
+        pattern: /^snapshot:\/\/space\/([^/]+)$/,
+        handler: async ([id], snapshotAPI) => {
+            const result = await snapshotAPI.getSpace(id);
+            if (!result?.space) {
+                throw Object.assign(new Error(`Space not found: ${id}`), { rpcCode: -32002 });
+            }
+            return result.space;
+        }
+    },
+
+    /**
+     * Proposal details
+     */
+    proposal: {
+        uriTemplate: "snapshot://proposal/{id}",
+        name: "Snapshot proposal",
+        description: "Full proposal content, timeline and current results",
+        mimeType: "application/json",
+        pattern: /^snapshot:\/\/proposal\/([^/]+)$/,
+        handler: async ([id], snapshotAPI) => {
+            const result = await snapshotAPI.getProposal(id);
+            if (!result?.proposal) {
+                throw Object.assign(new Error(`Proposal not found: ${id}`), { rpcCode: -32002 });
+            }
+            return result.proposal;
+        }
+    },
+
+    /**
+     * Votes cast on a proposal
+     */
+    proposal_votes: {
+        uriTemplate: "snapshot://proposal/{id}/votes",
+        name: "Snapshot proposal votes",
+        description: "Votes cast on a proposal, ordered by voting power (up to 1000)",
+        mimeType: "application/json",
+        pattern: /^snapshot:\/\/proposal\/([^/]+)\/votes$/,
+        handler: async ([id], snapshotAPI) => {
+            const result = await snapshotAPI.getVotes(id, {
+                orderBy: "vp",
+                orderDirection: "desc"
+            });
+            return result.votes;
+        }
+    }
+};
+
+/**
+ * Render data as a fenced JSON block for prompt messages
+ */
+function jsonBlock(data) {
+    return '```json\n' + JSON.stringify(data, null, 2) + '\n```';
+}
+
+/**
+ * MCP Prompt templates for common governance workflows
+ * Each handler fetches live data through SnapshotAPI and returns prompt messages
+ */
+const prompts = {
+    /**
+     * Summarize a proposal
+     */
+    summarize_proposal: {
+        name: "summarize_proposal",
+        description: "Summarize a Snapshot proposal: what it asks for, the choices, its timeline and current results",
+        arguments: [
+            { name: "proposal_id", description: "The proposal ID to summarize", required: true }
+        ],
+        handler: async (args, snapshotAPI) => {
+            const { proposal } = await snapshotAPI.getProposal(args.proposal_id);
+            if (!proposal) {
+                throw new Error(`Proposal not found: ${args.proposal_id}`);
+            }
+
+            return {
+                description: `Summary of "${proposal.title}" in ${proposal.space?.name || proposal.space?.id}`,
+                messages: [{
+                    role: "user",
+                    content: {
+                        type: "text",
+                        text: [
+                            `Summarize the following Snapshot proposal from the ${proposal.space?.name || proposal.space?.id} space.`,
+                            'Explain in plain language what it proposes, what each choice means, when voting opens and closes, and where the vote currently stands.',
+                            'Call out any risks, costs or open questions raised in the body.',
+                            '',
+                            jsonBlock(proposal)
+                        ].join('\n')
+                    }
+                }]
+            };
+        }
     },
 
     /**
-     * Follow a space
+     * Compare a proposal's outcome against the space quorum
      */
-    follow_space: {
-        name: "follow_space",
-        description: "Follow a Snapshot space",
-        inputSchema: {
-            type: "object",
-            properties: {
-                space_id: {
-                    type: "string",
-                    description: "The space ID to follow"
-                }
-            },
-            required: ["space_id"]
-        },
-        handler: async (args, snapshotAPI, walletManager) => {
-            try {
-                const receipt = await walletManager.followSpace(args.space_id);
-                
-                return {
-                    status: "success",
-                    data: {
-                        receipt: receipt,
-                        message: `Successfully followed space: ${args.space_id}`
+    compare_quorum: {
+        name: "compare_quorum",
+        description: "Compare a proposal's vote outcome against its quorum requirement",
+        arguments: [
+            { name: "proposal_id", description: "The proposal ID to check", required: true }
+        ],
+        handler: async (args, snapshotAPI) => {
+            const { proposal } = await snapshotAPI.getProposal(args.proposal_id);
+            if (!proposal) {
+                throw new Error(`Proposal not found: ${args.proposal_id}`);
+            }
+            const { space } = await snapshotAPI.getSpace(proposal.space.id);
+            const quorum = proposal.quorum || space?.voting?.quorum || 0;
+
+            const outcome = {
+                title: proposal.title,
+                state: proposal.state,
+                type: proposal.type,
+                choices: proposal.choices,
+                scores: proposal.scores,
+                scores_total: proposal.scores_total,
+                scores_state: proposal.scores_state,
+                votes: proposal.votes,
+                quorum: quorum,
+                space_voting_settings: space?.voting || null
+            };
+
+            return {
+                description: `Quorum check for "${proposal.title}"`,
+                messages: [{
+                    role: "user",
+                    content: {
+                        type: "text",
+                        text: [
+                            `Compare the outcome of the Snapshot proposal "${proposal.title}" against its quorum requirement.`,
+                            quorum
+                                ? `The quorum is ${quorum} voting power. State whether the total voting power cast (scores_total) reaches it, by how much it exceeds or falls short, and what that means for the result.`
+                                : 'The proposal and space define no quorum. Say so, then describe the result and turnout on their own.',
+                            'Also report the leading choice and its share of the vote.',
+                            '',
+                            jsonBlock(outcome)
+                        ].join('\n')
                     }
-                };
-            } catch (error) {
-                return {
-                    status: "error",
-                    error: error.message
-                };
+                }]
+            };
+        }
+    },
+
+    /**
+     * Draft a new proposal for a space
+     */
+    draft_proposal: {
+        name: "draft_proposal",
+        description: "Draft a new proposal for a space, following its voting settings and recent proposal conventions",
+        arguments: [
+            { name: "space_id", description: "The space ID to draft the proposal for", required: true },
+            { name: "topic", description: "What the proposal should be about", required: false }
+        ],
+        handler: async (args, snapshotAPI) => {
+            const { space } = await snapshotAPI.getSpace(args.space_id);
+            if (!space) {
+                throw new Error(`Space not found: ${args.space_id}`);
             }
+            const { proposals } = await snapshotAPI.getProposals({
+                first: 3,
+                where: { space: args.space_id }
+            });
+
+            const recentProposals = (proposals || []).map(proposal => ({
+                title: proposal.title,
+                type: proposal.type,
+                choices: proposal.choices,
+                body: proposal.body
+            }));
+
+            return {
+                description: `Draft proposal for ${space.name || space.id}`,
+                messages: [{
+                    role: "user",
+                    content: {
+                        type: "text",
+                        text: [
+                            `Draft a new Snapshot proposal for the ${space.name || space.id} space (${space.id})${args.topic ? ` about: ${args.topic}` : ''}.`,
+                            'Produce a title, a Markdown body, a list of choices and a voting type.',
+                            'Respect the space voting settings (a fixed voting type, delay and period) and follow the structure and tone of its recent proposals.',
+                            '',
+                            'Space settings:',
+                            jsonBlock({
+                                id: space.id,
+                                name: space.name,
+                                about: space.about,
+                                network: space.network,
+                                symbol: space.symbol,
+                                voting: space.voting,
+                                strategies: space.strategies
+                            }),
+                            '',
+                            'Recent proposals:',
+                            jsonBlock(recentProposals)
+                        ].join('\n')
+                    }
+                }]
+            };
         }
     },
 
     /**
-     * Unfollow a space
+     * Explain an address's voting history
      */
-    unfollow_space: {
-        name: "unfollow_space",
-        description: "Unfollow a Snapshot space",
-        inputSchema: {
-            type: "object",
-            properties: {
-                space_id: {
-                    type: "string",
-                    description: "The space ID to unfollow"
-                }
-            },
-            required: ["space_id"]
-        },
+    explain_voting_history: {
+        name: "explain_voting_history",
+        description: "Explain an address's recent voting history, optionally within one space",
+        arguments: [
+            { name: "address", description: "Ethereum address or ENS name of the voter. Defaults to the configured wallet", required: false },
+            { name: "space_id", description: "Limit the history to a single space", required: false }
+        ],
         handler: async (args, snapshotAPI, walletManager) => {
-            try {
-                const receipt = await walletManager.unfollowSpace(args.space_id);
-                
-                return {
-                    status: "success",
-                    data: {
-                        receipt: receipt,
-                        message: `Successfully unfollowed space: ${args.space_id}`
+            const address = args.address || walletManager.getAddress();
+            const { votes } = await snapshotAPI.getVoterVotes(address, {
+                first: 50,
+                space: args.space_id || null
+            });
+
+            const history = (votes || []).map(vote => ({
+                space: vote.space?.id,
+                proposal: vote.proposal?.title,
+                proposal_id: vote.proposal?.id,
+                proposal_state: vote.proposal?.state,
+                type: vote.proposal?.type,
+                choices: vote.proposal?.choices,
+                choice: vote.choice,
+                vp: vote.vp,
+                reason: vote.reason,
+                created: vote.created
+            }));
+
+            return {
+                description: `Voting history for ${address}`,
+                messages: [{
+                    role: "user",
+                    content: {
+                        type: "text",
+                        text: [
+                            `Explain the recent Snapshot voting history of ${address}${args.space_id ? ` in the ${args.space_id} space` : ''}.`,
+                            'Translate each choice index into the choice label (choices are 1-based), group the votes by space, and point out patterns such as consistent positions, abstentions or reasons given.',
+                            ...(history.length === 0 ? ['No votes were found for this address.'] : []),
+                            '',
+                            jsonBlock(history)
+                        ].join('\n')
                     }
-                };
-            } catch (error) {
-                return {
-                    status: "error",
-                    error: error.message
-                };
-            }
+                }]
+            };
         }
     }
 };
@@ -1272,11 +4883,27 @@ const tools = {
 class MCPHandler {
     constructor() {
         this.tools = tools;
+        this.resourceTemplates = resourceTemplates;
+        this.prompts = prompts;
         this.snapshotAPI = new SnapshotAPI();
-        this.walletManager = new WalletManager();
     }
 
-    async handleRequest(method, params) {
+    /**
+     * Handle an MCP request
+     * @param {object|null} session - Session from SessionManager; its wallet is used for signing
+     * @param {function|null} notify - Sends a JSON-RPC notification to the client mid-request
+     * @param {string[]|null} scopes - Scopes granted to the caller; null when auth does not apply
+     */
+    async handleRequest(method, params, session = null, notify = null, scopes = null) {
+        const allowed = (tool) => !tool.scope || !scopes || scopes.includes(tool.scope);
+
+        // Sessionless requests get a throwaway wallet manager that cannot hold a wallet
+        const walletManager = session?.walletManager || new WalletManager();
+        const sessionAPI = session ? this.snapshotAPI.forSession(session.id) : this.snapshotAPI;
+        const snapshotAPI = walletManager.network === sessionAPI.network
+            ? sessionAPI
+            : sessionAPI.forNetwork(walletManager.network);
+
         switch (method) {
             case 'initialize':
                 return {
@@ -1299,7 +4926,7 @@ class MCPHandler {
 
             case 'tools/list':
                 return {
-                    tools: Object.values(this.tools).map(tool => ({
+                    tools: Object.values(this.tools).filter(allowed).map(tool => ({
                         name: tool.name,
                         description: tool.description,
                         inputSchema: tool.inputSchema
@@ -1311,11 +4938,48 @@ class MCPHandler {
                 const tool = this.tools[name];
                 
                 if (!tool) {
-                    throw new Error(`Unknown tool: ${name}`);
+                    throw Object.assign(new Error(`Unknown tool: ${name}`), { rpcCode: -32602 });
+                }
+
+                if (!allowed(tool)) {
+                    throw Object.assign(new Error(`Tool ${name} requires the ${tool.scope} scope`), {
+                        rpcCode: -32001,
+                        rpcData: { tool: name, required_scope: tool.scope },
+                        requiredScope: tool.scope
+                    });
+                }
+
+                // Bad arguments are rejected before they turn into confusing hub or GraphQL errors
+                const argumentErrors = validateToolArguments(tool, args ?? {});
+                if (argumentErrors.length > 0) {
+                    const details = argumentErrors.map(error => `${error.field} ${error.message}`).join('; ');
+                    throw Object.assign(new Error(`Invalid arguments for ${name}: ${details}`), {
+                        rpcCode: -32602,
+                        rpcData: { tool: name, errors: argumentErrors }
+                    });
                 }
 
                 try {
-                    const result = await tool.handler(args || {}, this.snapshotAPI, this.walletManager);
+                    // Address arguments accept ENS names; tools only ever see checksummed addresses
+                    const { args: toolArgs, addresses } = await resolveAddressArguments(args || {}, {
+                        reverse: args?.reverse_ens === true
+                    });
+
+                    // A network argument points this call's reads and writes at another hub
+                    let toolAPI = args?.network ? snapshotAPI.forNetwork(args.network) : snapshotAPI;
+
+                    // Clients that send a progress token hear about each page of long paginated reads
+                    const progressToken = params._meta?.progressToken;
+                    if (notify && progressToken !== undefined) {
+                        toolAPI = toolAPI.withProgress(({ progress, total, message }) => notify({
+                            method: 'notifications/progress',
+                            params: { progressToken, progress, total, message }
+                        }));
+                    }
+                    let result = await tool.handler(toolArgs, toolAPI, walletManager);
+                    if (Object.keys(addresses).length > 0) {
+                        result = { ...result, addresses };
+                    }
                     return {
                         content: [{
                             type: "text",
@@ -1337,6 +5001,75 @@ class MCPHandler {
                     };
                 }
 
+            case 'resources/list':
+                // All Snapshot resources are addressed through templates
+                return {
+                    resources: []
+                };
+
+            case 'resources/templates/list':
+                return {
+                    resourceTemplates: Object.values(this.resourceTemplates).map(template => ({
+                        uriTemplate: template.uriTemplate,
+                        name: template.name,
+                        description: template.description,
+                        mimeType: template.mimeType
+                    }))
+                };
+
+            case 'resources/read': {
+                const uri = params?.uri;
+                if (!uri) {
+                    throw Object.assign(new Error('Missing required parameter: uri'), { rpcCode: -32602 });
+                }
+
+                for (const template of Object.values(this.resourceTemplates)) {
+                    const match = uri.match(template.pattern);
+                    if (!match) continue;
+
+                    const data = await template.handler(match.slice(1).map(decodeURIComponent), snapshotAPI);
+                    return {
+                        contents: [{
+                            uri,
+                            mimeType: template.mimeType,
+                            text: JSON.stringify(data, null, 2)
+                        }]
+                    };
+                }
+
+                // MCP's code for a resource that does not exist
+                throw Object.assign(new Error(`Unknown resource: ${uri}`), { rpcCode: -32002, rpcData: { uri } });
+            }
+
+            case 'prompts/list':
+                return {
+                    prompts: Object.values(this.prompts).map(prompt => ({
+                        name: prompt.name,
+                        description: prompt.description,
+                        arguments: prompt.arguments
+                    }))
+                };
+
+            case 'prompts/get': {
+                const prompt = this.prompts[params?.name];
+                if (!prompt) {
+                    throw Object.assign(new Error(`Unknown prompt: ${params?.name}`), { rpcCode: -32602 });
+                }
+
+                const { args: promptArgs } = await resolveAddressArguments(params.arguments || {});
+                const missing = prompt.arguments
+                    .filter(arg => arg.required && !promptArgs[arg.name])
+                    .map(arg => arg.name);
+                if (missing.length > 0) {
+                    throw Object.assign(new Error(`Missing required prompt arguments: ${missing.join(', ')}`), {
+                        rpcCode: -32602,
+                        rpcData: { prompt: prompt.name, missing }
+                    });
+                }
+
+                return await prompt.handler(promptArgs, snapshotAPI, walletManager);
+            }
+
             default:
                 throw new Error(`Unknown method: ${method}`);
         }
@@ -1354,20 +5087,49 @@ class SessionManager {
         this.sessions = new Map();
     }
 
-    createSession() {
+    /**
+     * @param {string|null} owner - Principal that created the session; only it may use the session
+     * @param {boolean} [options.local] - Session of the single stdio client, which uses KEYSTORE_DIR
+     *   itself. HTTP sessions only see their owner's profiles, and unauthenticated ones none
+     */
+    createSession(owner = null, { local = false } = {}) {
         const sessionId = randomBytes(16).toString('hex');
+        const sessionKeystore = local ? keystore : owner ? keystore.forOwner(owner) : null;
+        const walletManager = new WalletManager(sessionId, sessionKeystore);
+        if (startupWallet) {
+            walletManager.setWallet(startupWallet);
+        }
         this.sessions.set(sessionId, {
             id: sessionId,
+            owner,
+            local,
             created: Date.now(),
-            lastAccess: Date.now()
+            lastAccess: Date.now(),
+            walletManager
         });
         return sessionId;
     }
 
-    validateSession(sessionId) {
-        if (!sessionId) return false;
+    getSession(sessionId) {
+        if (!sessionId) return null;
+        return this.sessions.get(sessionId) || null;
+    }
+
+    deleteSession(sessionId) {
         const session = this.sessions.get(sessionId);
         if (!session) return false;
+
+        // Wipe the session's wallet so its key can't be reached afterwards
+        session.walletManager.clear();
+        mcpHandler.snapshotAPI.rateLimiter.forget(sessionId);
+        this.sessions.delete(sessionId);
+        return true;
+    }
+
+    validateSession(sessionId, owner = null) {
+        if (!sessionId) return false;
+        const session = this.sessions.get(sessionId);
+        if (!session || session.owner !== owner) return false;
         
         // Update last access
         session.lastAccess = Date.now();
@@ -1379,8 +5141,9 @@ class SessionManager {
         const maxAge = 24 * 60 * 60 * 1000; // 24 hours
         
         for (const [sessionId, session] of this.sessions.entries()) {
-            if (now - session.lastAccess > maxAge) {
-                this.sessions.delete(sessionId);
+            // The stdio session lives as long as the process, however long it sits idle
+            if (!session.local && now - session.lastAccess > maxAge) {
+                this.deleteSession(sessionId);
             }
         }
     }
@@ -1391,16 +5154,149 @@ const sessionManager = new SessionManager();
 // Clean up sessions every hour
 setInterval(() => sessionManager.cleanupSessions(), 60 * 60 * 1000);
 
+const hashToken = (token) => createHash('sha256').update(token).digest();
+const staticTokens = MCP_AUTH_TOKENS.map(({ token, scopes }) => ({ hash: hashToken(token), scopes }));
+const introspectionCache = new ResponseCache();
+
 /**
- * HTTP Server with MCP Protocol Support and Claude Web Compatibility
+ * Match a bearer token against MCP_AUTH_TOKENS
  */
-const server = createServer(async (req, res) => {
-    // Set comprehensive CORS headers for Claude Web compatibility
-    res.setHeader('Access-Control-Allow-Origin', '*');
+async function authenticateStaticToken(token) {
+    const hash = hashToken(token);
+    const match = staticTokens.find(entry => timingSafeEqual(entry.hash, hash));
+    return match ? { id: `token:${hash.toString('hex').slice(0, 12)}`, scopes: match.scopes } : null;
+}
+
+/**
+ * Validate a bearer token through the OAuth introspection endpoint
+ * The token must be active and issued for this server, and only Snapshot scopes are kept
+ */
+async function authenticateOAuthToken(token) {
+    if (!OAUTH_INTROSPECTION_URL) {
+        return null;
+    }
+
+    const key = hashToken(token).toString('hex');
+    const cached = introspectionCache.get(key);
+    if (cached !== undefined) {
+        return cached;
+    }
+
+    let claims;
+    try {
+        const response = await fetch(OAUTH_INTROSPECTION_URL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'Accept': 'application/json',
+                ...(OAUTH_CLIENT_ID && {
+                    'Authorization': `Basic ${Buffer.from(`${OAUTH_CLIENT_ID}:${OAUTH_CLIENT_SECRET}`).toString('base64')}`
+                })
+            },
+            body: new URLSearchParams({ token, token_type_hint: 'access_token' }),
+            signal: AbortSignal.timeout(QUERY_TIMEOUT_MS)
+        });
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+        claims = await response.json();
+    } catch (error) {
+        // Not cached, so the next request tries the introspection endpoint again
+        console.error(`OAuth token introspection failed: ${error.message}`);
+        return null;
+    }
+
+    const audiences = [].concat(claims.aud || []);
+    const expires = claims.exp ? claims.exp * 1000 : Date.now() + 60 * 1000;
+    const valid = claims.active === true && expires > Date.now() && audiences.includes(OAUTH_RESOURCE_URL);
+
+    const granted = (claims.scope || '').split(' ');
+    const principal = valid ? {
+        id: `oauth:${claims.sub || claims.client_id || key.slice(0, 12)}`,
+        scopes: granted.includes(SCOPE_WRITE) ? [SCOPE_READ, SCOPE_WRITE] : granted.filter(scope => scope === SCOPE_READ)
+    } : null;
+
+    // Results are reused for up to a minute, and never past the token's expiry
+    introspectionCache.set(key, principal, valid ? Math.min(60 * 1000, expires - Date.now()) : 60 * 1000);
+    return principal;
+}
+
+/**
+ * Auth providers, tried in order; each maps a bearer token to a principal ({ id, scopes }) or null
+ */
+const AUTH_PROVIDERS = [authenticateStaticToken, authenticateOAuthToken];
+
+/**
+ * Principal for a request's bearer token, or null when it has none or no provider accepts it
+ */
+async function authenticateRequest(req) {
+    const token = (req.headers.authorization || '').match(/^Bearer\s+(\S+)\s*$/i)?.[1];
+    if (!token) {
+        return null;
+    }
+
+    for (const provider of AUTH_PROVIDERS) {
+        const principal = await provider(token);
+        if (principal) {
+            return principal;
+        }
+    }
+    return null;
+}
+
+/**
+ * Reject a request with a bearer challenge that points OAuth clients to the resource metadata
+ * @param {object} challenge - RFC 6750 error, error_description and scope; omit error when no token was sent
+ */
+function sendAuthChallenge(res, status, challenge = {}) {
+    const params = Object.entries(challenge).filter(([, value]) => value);
+    if (OAUTH_AUTHORIZATION_SERVERS.length > 0) {
+        params.push(['resource_metadata', `${new URL(OAUTH_RESOURCE_URL).origin}/.well-known/oauth-protected-resource`]);
+    }
+    res.setHeader('WWW-Authenticate', ['Bearer', params.map(([key, value]) => `${key}="${value}"`).join(', ')].filter(Boolean).join(' '));
+    res.setHeader('Content-Type', 'application/json');
+    res.writeHead(status);
+    res.end(JSON.stringify({
+        error: challenge.error || 'unauthorized',
+        error_description: challenge.error_description || 'A bearer token is required'
+    }));
+}
+
+/**
+ * Set CORS headers for the request's origin
+ * @returns {boolean} false when a browser origin is not in CORS_ALLOWED_ORIGINS
+ */
+function applyCors(req, res) {
+    const origin = req.headers.origin;
+    if (CORS_ALLOWED_ORIGINS.includes('*')) {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+    } else {
+        res.setHeader('Vary', 'Origin');
+        if (origin && !CORS_ALLOWED_ORIGINS.includes(origin)) {
+            return false;
+        }
+        if (origin) {
+            res.setHeader('Access-Control-Allow-Origin', origin);
+        }
+    }
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS, DELETE');
     res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept, Authorization, Mcp-Session-Id, Mcp-Protocol-Version, Last-Event-ID');
+    res.setHeader('Access-Control-Expose-Headers', 'Mcp-Session-Id, WWW-Authenticate');
     res.setHeader('Access-Control-Max-Age', '86400');
-    
+    return true;
+}
+
+/**
+ * HTTP Server with MCP Protocol Support and Claude Web Compatibility
+ */
+const server = createServer(async (req, res) => {
+    // Browsers from other origins are turned away, which also blocks DNS rebinding
+    if (!applyCors(req, res)) {
+        res.writeHead(403);
+        res.end('Origin not allowed');
+        return;
+    }
+
     if (req.method === 'OPTIONS') {
         res.writeHead(200);
         res.end();
@@ -1418,9 +5314,34 @@ const server = createServer(async (req, res) => {
             server: "Snapshot MCP Server",
             version: SERVER_VERSION,
             snapshot_hub: SNAPSHOT_HUB_URL,
+            graphql_endpoints: SNAPSHOT_GRAPHQL_ENDPOINTS,
+            network: SNAPSHOT_NETWORK,
+            networks: Object.keys(HUB_NETWORKS).map(describeHubNetwork),
             timestamp: new Date().toISOString(),
             transport: "streamable-http",
-            mcp_protocol_version: "2024-11-05"
+            mcp_protocol_version: "2024-11-05",
+            cache: mcpHandler.snapshotAPI.cache.stats(),
+            rate_limit: mcpHandler.snapshotAPI.rateLimiter.stats(),
+            auth: {
+                enabled: AUTH_ENABLED,
+                static_tokens: MCP_AUTH_TOKENS.length,
+                oauth: Boolean(OAUTH_INTROSPECTION_URL)
+            }
+        }));
+        return;
+    }
+
+    // OAuth protected resource metadata (RFC 9728), which MCP clients use to find the authorization server
+    if ((url.pathname === '/.well-known/oauth-protected-resource' || url.pathname === '/.well-known/oauth-protected-resource/mcp')
+        && req.method === 'GET' && OAUTH_AUTHORIZATION_SERVERS.length > 0) {
+        res.setHeader('Content-Type', 'application/json');
+        res.writeHead(200);
+        res.end(JSON.stringify({
+            resource: OAUTH_RESOURCE_URL,
+            authorization_servers: OAUTH_AUTHORIZATION_SERVERS,
+            scopes_supported: [SCOPE_READ, SCOPE_WRITE],
+            bearer_methods_supported: ['header'],
+            resource_name: 'Snapshot MCP Server'
         }));
         return;
     }
@@ -1435,8 +5356,27 @@ const server = createServer(async (req, res) => {
             return;
         }
 
+        // Every MCP request needs a bearer token with at least read access once auth is configured
+        const principal = AUTH_ENABLED ? await authenticateRequest(req) : null;
+        if (AUTH_ENABLED && !principal) {
+            sendAuthChallenge(res, 401, req.headers.authorization
+                ? { error: 'invalid_token', error_description: 'The bearer token is invalid or expired' }
+                : {});
+            return;
+        }
+        if (principal && !principal.scopes.includes(SCOPE_READ)) {
+            sendAuthChallenge(res, 403, {
+                error: 'insufficient_scope',
+                error_description: `The token lacks the ${SCOPE_READ} scope`,
+                scope: SCOPE_READ
+            });
+            return;
+        }
+
         // Handle session management
         const sessionId = req.headers['mcp-session-id'] || req.headers['Mcp-Session-Id'];
+        // Sessions belong to the caller that created them, so another token cannot use their wallet
+        const owner = principal?.id ?? null;
         
         if (req.method === 'POST') {
             // Handle JSON-RPC requests via POST
@@ -1448,17 +5388,45 @@ const server = createServer(async (req, res) => {
 
                 req.on('end', async () => {
                     let request;
+                    let streaming = false;
                     try {
                         request = JSON.parse(body);
                         
                         // Check if session is required and valid (except for initialization)
-                        if (request.method !== 'initialize' && sessionId && !sessionManager.validateSession(sessionId)) {
+                        if (request.method !== 'initialize' && sessionId && !sessionManager.validateSession(sessionId, owner)) {
                             res.writeHead(404);
                             res.end('Session not found');
                             return;
                         }
 
-                        const response = await mcpHandler.handleRequest(request.method, request.params);
+                        const session = sessionManager.getSession(sessionId);
+
+                        // Check if client accepts SSE for streaming responses
+                        const acceptHeader = req.headers.accept || '';
+                        const supportsSSE = acceptHeader.includes('text/event-stream');
+                        const supportsJSON = acceptHeader.includes('application/json');
+
+                        // The SSE stream opens on the first event, which may be a progress
+                        // notification sent before the tool has finished
+                        const openStream = (headers = {}) => {
+                            if (streaming) return;
+                            streaming = true;
+                            for (const [key, value] of Object.entries(headers)) {
+                                res.setHeader(key, value);
+                            }
+                            res.setHeader('Content-Type', 'text/event-stream');
+                            res.setHeader('Cache-Control', 'no-cache');
+                            res.setHeader('Connection', 'keep-alive');
+                            res.writeHead(200);
+                        };
+                        const notify = supportsSSE && request.method === 'tools/call'
+                            ? (message) => {
+                                openStream();
+                                res.write(`data: ${JSON.stringify({ jsonrpc: "2.0", ...message })}\n\n`);
+                            }
+                            : null;
+
+                        const response = await mcpHandler.handleRequest(request.method, request.params, session, notify, principal?.scopes ?? null);
                         
                         // Handle notifications (no response needed)
                         if (response === null) {
@@ -1470,26 +5438,13 @@ const server = createServer(async (req, res) => {
                         // Create session for initialization
                         let responseHeaders = { 'Content-Type': 'application/json' };
                         if (request.method === 'initialize') {
-                            const newSessionId = sessionManager.createSession();
+                            const newSessionId = sessionManager.createSession(owner);
                             responseHeaders['Mcp-Session-Id'] = newSessionId;
                         }
 
-                        // Check if client accepts SSE for streaming responses
-                        const acceptHeader = req.headers.accept || '';
-                        const supportsSSE = acceptHeader.includes('text/event-stream');
-                        const supportsJSON = acceptHeader.includes('application/json');
-
                         if (supportsSSE && (request.method === 'tools/call' || request.method.includes('/'))) {
                             // Use SSE for complex operations
-                            responseHeaders['Content-Type'] = 'text/event-stream';
-                            responseHeaders['Cache-Control'] = 'no-cache';
-                            responseHeaders['Connection'] = 'keep-alive';
-                            
-                            // Set response headers
-                            for (const [key, value] of Object.entries(responseHeaders)) {
-                                res.setHeader(key, value);
-                            }
-                            res.writeHead(200);
+                            openStream(responseHeaders);
 
                             // Send the response as SSE
                             const sseData = JSON.stringify({
@@ -1513,16 +5468,26 @@ const server = createServer(async (req, res) => {
                         }
                     } catch (error) {
                         console.error('MCP request error:', error);
-                        res.setHeader('Content-Type', 'application/json');
-                        res.writeHead(200);
-                        res.end(JSON.stringify({
+                        const errorResponse = JSON.stringify({
                             jsonrpc: "2.0",
                             id: request?.id || null,
-                            error: {
-                                code: -32603,
-                                message: error.message
-                            }
-                        }));
+                            error: jsonRpcError(error)
+                        });
+
+                        // Progress events already went out, so the error ends the stream
+                        if (streaming) {
+                            res.write(`data: ${errorResponse}\n\n`);
+                            res.end();
+                            return;
+                        }
+
+                        // A read-only token calling a write tool is told which scope to request
+                        if (error.requiredScope) {
+                            res.setHeader('WWW-Authenticate', `Bearer error="insufficient_scope", scope="${error.requiredScope}"`);
+                        }
+                        res.setHeader('Content-Type', 'application/json');
+                        res.writeHead(error.requiredScope ? 403 : 200);
+                        res.end(errorResponse);
                     }
                 });
             } catch (error) {
@@ -1563,8 +5528,8 @@ const server = createServer(async (req, res) => {
 
         if (req.method === 'DELETE') {
             // Handle session termination
-            if (sessionId && sessionManager.validateSession(sessionId)) {
-                sessionManager.sessions.delete(sessionId);
+            if (sessionId && sessionManager.validateSession(sessionId, owner)) {
+                sessionManager.deleteSession(sessionId);
                 res.writeHead(200);
                 res.end();
             } else {
@@ -1580,25 +5545,108 @@ const server = createServer(async (req, res) => {
     res.end('Not Found');
 });
 
+/**
+ * Stdio transport for running as a local MCP subprocess
+ * Reads newline-delimited JSON-RPC messages from stdin and writes responses to stdout
+ */
+function startStdioTransport() {
+    // A stdio subprocess serves exactly one client, so it gets a single session
+    const session = sessionManager.getSession(sessionManager.createSession(null, { local: true }));
+
+    const send = (message) => {
+        process.stdout.write(JSON.stringify(message) + '\n');
+    };
+
+    const handleMessage = async (line) => {
+        let request;
+        try {
+            request = JSON.parse(line);
+        } catch (error) {
+            send({
+                jsonrpc: "2.0",
+                id: null,
+                error: {
+                    code: -32700,
+                    message: `Parse error: ${error.message}`
+                }
+            });
+            return;
+        }
+
+        // Notifications carry no id and never get a response
+        const isNotification = request.id === undefined || request.id === null;
+        session.lastAccess = Date.now();
+
+        try {
+            const notify = (message) => send({ jsonrpc: "2.0", ...message });
+            const response = await mcpHandler.handleRequest(request.method, request.params, session, notify);
+            if (isNotification) return;
+
+            send({
+                jsonrpc: "2.0",
+                id: request.id,
+                result: response
+            });
+        } catch (error) {
+            console.error('MCP request error:', error);
+            if (isNotification) return;
+
+            send({
+                jsonrpc: "2.0",
+                id: request.id,
+                error: jsonRpcError(error)
+            });
+        }
+    };
+
+    const pending = new Set();
+    const rl = createInterface({ input: process.stdin, terminal: false });
+    rl.on('line', (line) => {
+        if (line.trim()) {
+            const task = handleMessage(line).finally(() => pending.delete(task));
+            pending.add(task);
+        }
+    });
+
+    // The client closing stdin ends the session once in-flight requests have answered
+    rl.on('close', async () => {
+        console.log('🛑 stdin closed, shutting down Snapshot MCP Server...');
+        await Promise.allSettled([...pending]);
+        process.exit(0);
+    });
+
+    console.log(`🚀 Snapshot MCP Server v${SERVER_VERSION} started (stdio transport)`);
+    console.log(`📊 Snapshot Hub: ${resolveHubNetwork(SNAPSHOT_NETWORK).hub} (${SNAPSHOT_NETWORK})`);
+    console.log(`Available tools: ${Object.keys(tools).join(', ')}`);
+}
+
 // Start the server
-server.listen(SERVER_PORT, '0.0.0.0', () => {
-    console.log(`🚀 Snapshot MCP Server v${SERVER_VERSION} started`);
-    console.log(`📡 Server running on: http://0.0.0.0:${SERVER_PORT}`);
-    console.log(`🔗 MCP endpoint: http://0.0.0.0:${SERVER_PORT}/mcp`);
-    console.log(`💊 Health check: http://0.0.0.0:${SERVER_PORT}/health`);
-    console.log(`📊 Snapshot Hub: ${SNAPSHOT_HUB_URL}`);
-    console.log('');
-    console.log('Available tools:');
-    Object.values(tools).forEach(tool => {
-        console.log(`  • ${tool.name}: ${tool.description}`);
+if (MCP_TRANSPORT === 'stdio') {
+    startStdioTransport();
+} else {
+    server.listen(SERVER_PORT, '0.0.0.0', () => {
+        console.log(`🚀 Snapshot MCP Server v${SERVER_VERSION} started`);
+        console.log(`📡 Server running on: http://0.0.0.0:${SERVER_PORT}`);
+        console.log(`🔗 MCP endpoint: http://0.0.0.0:${SERVER_PORT}/mcp`);
+        console.log(`💊 Health check: http://0.0.0.0:${SERVER_PORT}/health`);
+        console.log(AUTH_ENABLED
+            ? `🔒 Auth: ${MCP_AUTH_TOKENS.length} static token(s)${OAUTH_INTROSPECTION_URL ? ', OAuth token introspection' : ''}`
+            : '⚠️  Auth disabled: /mcp accepts unauthenticated requests. Set MCP_AUTH_TOKENS or OAUTH_INTROSPECTION_URL');
+        console.log(`📊 Snapshot Hub: ${resolveHubNetwork(SNAPSHOT_NETWORK).hub} (${SNAPSHOT_NETWORK})`);
+        console.log('');
+        console.log('Available tools:');
+        Object.values(tools).forEach(tool => {
+            console.log(`  • ${tool.name}: ${tool.description}`);
+        });
+        console.log('');
+        console.log('Ready to handle MCP requests! 🎯');
     });
-    console.log('');
-    console.log('Ready to handle MCP requests! 🎯');
-});
+}
 
 // Handle graceful shutdown
 process.on('SIGINT', () => {
     console.log('\n🛑 Shutting down Snapshot MCP Server...');
+    if (!server.listening) process.exit(0);
     server.close(() => {
         console.log('✅ Server closed gracefully');
         process.exit(0);
@@ -1607,6 +5655,7 @@ process.on('SIGINT', () => {
 
 process.on('SIGTERM', () => {
     console.log('\n🛑 Received SIGTERM, shutting down...');
+    if (!server.listening) process.exit(0);
     server.close(() => {
         console.log('✅ Server closed gracefully');
         process.exit(0);